@@ -58,6 +58,8 @@ Options:
 	--max_concurrency   <number>	Place a cap on the max-concurrency option to use for each task. (default: no limit, auto-calculated based on memory if not set)
 	--max_runtime	<number> Number of minutes (approximate) that a task is allowed to run before being forcibly canceled (timeout). (default: no limit)
 	--docker_memory_limit <size>	Docker container memory limit (e.g., "8g", "16g"). Set this to prevent OOM kills. (default: no limit)
+	--task_store <json|sqlite>	Where to save the list of tasks. "json" uses a tasks.json file, "sqlite" a tasks.sqlite database (recommended for nodes with many tasks). Tasks from tasks.json are imported when switching to sqlite. (default: json)
+	--drain_timeout <number>	Number of seconds to wait for running tasks to complete when shutting down (SIGTERM, SIGINT). Tasks that are still running are then stopped and resume from the ODM stage they were processing after a restart. A second signal stops waiting. (default: 0)
 
 GCS (Google Cloud Storage) Options:
 	--gcs_bucket <bucket>	GCS bucket name for uploading results. (default: none)
@@ -68,6 +70,25 @@ GCS (Google Cloud Storage) Options:
 	--gcs_upload_prefix <prefix>	Prefix path in GCS bucket (e.g., 'outputs' results in gs://bucket/outputs/task-uuid/). (default: none)
 	--gcs_cleanup_after_upload	Delete local files after successful GCS upload. (default: false)
 
+Per-task Storage Options:
+	--storage_allowlist <json>	JSON object mapping storage backends (s3, gcs, azure, local) to the buckets that tasks are allowed to upload results to via the "storage" parameter, e.g. '{"s3": ["bucket-a", "bucket-b"], "gcs": ["*"]}'. (default: per-task storage destinations are not allowed)
+
+Azure Blob Storage Options:
+	--azure_container <container>	Azure Blob Storage container name for uploading results. (default: none)
+	--azure_connection_string <string>	Storage account connection string. Use "UseDevelopmentStorage=true" for a local Azurite emulator. (default: AZURE_STORAGE_CONNECTION_STRING env var)
+	--azure_account <name>	Storage account name, if no connection string is set. (default: AZURE_STORAGE_ACCOUNT env var)
+	--azure_account_key <key>	Storage account key, if no connection string is set. (default: AZURE_STORAGE_KEY env var)
+	--azure_endpoint <url>	Blob service URL, if no connection string is set (e.g., http://127.0.0.1:10000/devstoreaccount1 for Azurite). (default: https://<account>.blob.core.windows.net)
+	--azure_parallel_uploads <number>	Number of parallel file uploads to Azure. (default: 16)
+	--azure_upload_paths <paths>	Comma-separated list of paths to upload to Azure. (default: all.zip)
+	--azure_upload_prefix <prefix>	Prefix path in the Azure container (e.g., 'outputs' results in <container>/outputs/task-name/). (default: none)
+	--azure_cleanup_after_upload	Delete local files after successful Azure upload. (default: false)
+
+Local Storage Options:
+	--local_storage_path <path>	Folder (local or network mount, e.g. NFS) where to copy completed task results to. (default: do not copy results)
+	--local_storage_upload_paths <paths>	Comma-separated list of paths to copy to the local storage folder. (default: all.zip)
+	--local_storage_upload_prefix <prefix>	Subfolder of the local storage folder where to copy results to (e.g., 'outputs' results in <path>/outputs/task-uuid/). (default: none)
+
 Log Levels: 
 error | debug | info | verbose | debug | silly 
 `);
@@ -82,7 +103,11 @@ const allOpts = ["slice","help","config","odm_path","log_level","port","p",
 "s3_force_path_style","s3_access_key","s3_secret_key","s3_signature_version",
 "s3_acl","s3_upload_everything","s3_ignore_ssl","max_concurrency","max_runtime",
 "gcs_bucket","gcs_project_id","gcs_key_path","gcs_parallel_uploads",
-"gcs_upload_paths","gcs_upload_prefix","gcs_cleanup_after_upload"];
+"gcs_upload_paths","gcs_upload_prefix","gcs_cleanup_after_upload",
+"azure_container","azure_connection_string","azure_account","azure_account_key",
+"azure_endpoint","azure_parallel_uploads","azure_upload_paths","azure_upload_prefix",
+"azure_cleanup_after_upload","local_storage_path","local_storage_upload_paths","local_storage_upload_prefix","storage_allowlist",
+"task_store","drain_timeout"];
 
 // Support for "-" or "_" style params syntax
 for (let k in argv){
@@ -156,6 +181,8 @@ config.s3IgnoreSSL = argv.s3_ignore_ssl || fromConfigFile("s3IgnoreSSL", false);
 config.maxConcurrency = parseInt(argv.max_concurrency || fromConfigFile("maxConcurrency", 0));
 config.maxRuntime = parseInt(argv.max_runtime || fromConfigFile("maxRuntime", -1));
 config.dockerMemoryLimit = argv.docker_memory_limit || fromConfigFile("dockerMemoryLimit", "");
+config.taskStore = argv.task_store || fromConfigFile("taskStore", "json");
+config.drainTimeout = parseInt(argv.drain_timeout || fromConfigFile("drainTimeout", 0));
 
 // GCS (Google Cloud Storage) configuration
 config.gcsBucket = argv.gcs_bucket || fromConfigFile("gcsBucket", process.env.GCS_BUCKET || "");
@@ -169,6 +196,36 @@ config.gcsCleanupAfterUpload = argv.gcs_cleanup_after_upload === true ||
     argv.gcs_cleanup_after_upload === 'true' || 
     fromConfigFile("gcsCleanupAfterUpload", false) === true;
 
+// Azure Blob Storage configuration
+config.azureContainer = argv.azure_container || fromConfigFile("azureContainer", process.env.AZURE_STORAGE_CONTAINER || "");
+config.azureConnectionString = argv.azure_connection_string || fromConfigFile("azureConnectionString", process.env.AZURE_STORAGE_CONNECTION_STRING || "");
+config.azureAccount = argv.azure_account || fromConfigFile("azureAccount", process.env.AZURE_STORAGE_ACCOUNT || "");
+config.azureAccountKey = argv.azure_account_key || fromConfigFile("azureAccountKey", process.env.AZURE_STORAGE_KEY || "");
+config.azureEndpoint = argv.azure_endpoint || fromConfigFile("azureEndpoint", "");
+config.azureParallelUploads = parseInt(argv.azure_parallel_uploads || fromConfigFile("azureParallelUploads", 16));
+config.azureUploadPaths = argv.azure_upload_paths || fromConfigFile("azureUploadPaths", "all.zip");
+config.azureUploadPrefix = argv.azure_upload_prefix || fromConfigFile("azureUploadPrefix", "");
+config.azureCleanupAfterUpload = argv.azure_cleanup_after_upload === true ||
+    argv.azure_cleanup_after_upload === 'true' ||
+    fromConfigFile("azureCleanupAfterUpload", false) === true;
+
+// Local filesystem (or NFS) storage configuration
+config.localStoragePath = argv.local_storage_path || fromConfigFile("localStoragePath", "");
+config.localStorageUploadPaths = argv.local_storage_upload_paths || fromConfigFile("localStorageUploadPaths", "all.zip");
+config.localStorageUploadPrefix = argv.local_storage_upload_prefix || fromConfigFile("localStorageUploadPrefix", "");
+
+// Backends and buckets that tasks can choose as upload destination
+if (argv.storage_allowlist){
+	try{
+		config.storageAllowlist = JSON.parse(argv.storage_allowlist);
+	}catch(e){
+		console.log(`Invalid --storage_allowlist: ${e.message}`);
+		process.exit(1);
+	}
+}else{
+	config.storageAllowlist = fromConfigFile("storageAllowlist", {});
+}
+
 // Detect 7z availability
 config.has7z = spawnSync(apps.sevenZ, ['--help']).status === 0;
 config.hasUnzip = spawnSync(apps.unzip, ['--help']).status === 0;
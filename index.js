@@ -34,16 +34,22 @@ const bodyParser = require('body-parser');
 const multer = require('multer');
 
 const TaskManager = require('./libs/TaskManager');
+const Task = require('./libs/Task');
 const odmInfo = require('./libs/odmInfo');
 const si = require('systeminformation');
-const S3 = require('./libs/S3');
-const GCS = require('./libs/GCS');
+const storage = require('./libs/storage/factory');
+const taskEvents = require('./libs/TaskEvents');
+const statusCodes = require('./libs/statusCodes');
+const TaskStoreBase = require('./libs/taskStore/TaskStoreBase');
+const tiles = require('./libs/tiles');
+const report = require('./libs/report');
 
 const auth = require('./libs/auth/factory').fromConfig(config);
 const authCheck = auth.getMiddleware();
 const taskNew = require('./libs/taskNew');
+const utils = require('./libs/utils');
 
-app.use(cors())
+app.use(cors({ exposedHeaders: ['X-Total-Count'] }))
 app.options('*', cors())
 
 app.use(express.static('public'));
@@ -56,6 +62,17 @@ const jsonBodyParser = bodyParser.json();
 let taskManager;
 let server;
 
+// Seconds after which clients can retry creating a task on a draining node
+const DRAINING_RETRY_AFTER = 60;
+
+// Rejects new tasks (with status 503) while the node is draining (see /admin/drain)
+const drainingCheck = (req, res, next) => {
+    if (taskManager.draining){
+        res.set('Retry-After', DRAINING_RETRY_AFTER);
+        res.status(503).json({ error: "This node is draining and does not accept new tasks" });
+    }else next();
+};
+
 /** @swagger
  *  /task/new/init:
  *    post:
@@ -99,6 +116,18 @@ let server;
  *          required: false
  *          type: integer
  *        -
+ *          name: priority
+ *          in: formData
+ *          description: 'An optional integer priority for the task. Tasks with a higher priority are processed before tasks with a lower priority. Tasks with the same priority are processed in the order they were created. Defaults to 0.'
+ *          required: false
+ *          type: integer
+ *        -
+ *          name: storage
+ *          in: formData
+ *          description: 'An optional JSON object overriding where the results of this task are uploaded, for example: {"backend": "s3", "bucket": "my-bucket", "prefix": "outputs", "paths": ["all.zip"], "cleanup": false}. Only "backend" is required. The backend and bucket must be allowed by the node operator (see --storage_allowlist).'
+ *          required: false
+ *          type: string
+ *        -
  *          name: token
  *          in: query
  *          description: 'Token required for authentication (when authentication is required).'
@@ -120,12 +149,16 @@ let server;
  *              uuid:
  *                type: string
  *                description: UUID of the newly created task
+ *        503:
+ *          description: The node is draining and does not accept new tasks
+ *          schema:
+ *            $ref: '#/definitions/Error'
  *        default:
  *          description: Error
  *          schema:
  *            $ref: '#/definitions/Error'
  */
-app.post('/task/new/init', authCheck, taskNew.assignUUID, formDataParser, taskNew.handleInit);
+app.post('/task/new/init', authCheck, drainingCheck, taskNew.assignUUID, formDataParser, taskNew.handleInit);
 
 /** @swagger
  *  /task/new/upload/{uuid}:
@@ -165,6 +198,120 @@ app.post('/task/new/init', authCheck, taskNew.assignUUID, formDataParser, taskNe
  */
 app.post('/task/new/upload/:uuid', authCheck, taskNew.getUUID, taskNew.preUpload, taskNew.uploadImages, taskNew.handleUpload);
 
+/** @swagger
+ *  /task/new/upload/{uuid}/resumable:
+ *    post:
+ *      description: Declares a file that will be uploaded in one or more chunks to the task created via /task/new/init (tus 1.0.0 protocol, creation extension). The URL of the upload is returned in the Location header. Bytes are then sent via PATCH requests to that URL and the current offset can be retrieved via HEAD, so that interrupted uploads can be resumed. /task/new/commit will fail until all declared files have been fully uploaded.
+ *      tags: [task]
+ *      parameters:
+ *        -
+ *           name: uuid
+ *           in: path
+ *           description: UUID of the task
+ *           required: true
+ *           type: string
+ *        -
+ *          name: Upload-Length
+ *          in: header
+ *          description: Size of the file in bytes
+ *          required: true
+ *          type: integer
+ *        -
+ *          name: Upload-Metadata
+ *          in: header
+ *          description: 'Comma separated list of key/value pairs, where the value is base64 encoded. Must include a "filename" key.'
+ *          required: true
+ *          type: string
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        201:
+ *          description: Upload created, its URL is in the Location header
+ *        default:
+ *          description: Error
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.post('/task/new/upload/:uuid/resumable', authCheck, taskNew.getUUID, taskNew.resumableHeaders, taskNew.resumableCreate);
+
+/** @swagger
+ *  /task/new/upload/{uuid}/resumable/{fileId}:
+ *    head:
+ *      description: Retrieves the number of bytes received so far (Upload-Offset header) for a file declared via /task/new/upload/{uuid}/resumable.
+ *      tags: [task]
+ *      parameters:
+ *        -
+ *           name: uuid
+ *           in: path
+ *           description: UUID of the task
+ *           required: true
+ *           type: string
+ *        -
+ *           name: fileId
+ *           in: path
+ *           description: ID of the upload
+ *           required: true
+ *           type: string
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Upload-Offset and Upload-Length headers are set
+ *        404:
+ *          description: Upload not found
+ *    patch:
+ *      description: Appends bytes to a file declared via /task/new/upload/{uuid}/resumable, starting at Upload-Offset. The request body is the raw file content (Content-Type application/offset+octet-stream).
+ *      tags: [task]
+ *      consumes:
+ *        - application/offset+octet-stream
+ *      parameters:
+ *        -
+ *           name: uuid
+ *           in: path
+ *           description: UUID of the task
+ *           required: true
+ *           type: string
+ *        -
+ *           name: fileId
+ *           in: path
+ *           description: ID of the upload
+ *           required: true
+ *           type: string
+ *        -
+ *          name: Upload-Offset
+ *          in: header
+ *          description: Offset (in bytes) of the data being sent. Must match the offset returned by HEAD.
+ *          required: true
+ *          type: integer
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        204:
+ *          description: Data received, the new offset is in the Upload-Offset header
+ *        409:
+ *          description: Upload-Offset does not match the number of bytes received so far
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ *        default:
+ *          description: Error
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.head('/task/new/upload/:uuid/resumable/:fileId([a-f0-9]{32})', authCheck, taskNew.getUUID, taskNew.resumableHeaders, taskNew.resumableHead);
+app.patch('/task/new/upload/:uuid/resumable/:fileId([a-f0-9]{32})', authCheck, taskNew.getUUID, taskNew.preUpload, taskNew.resumableHeaders, taskNew.resumablePatch);
+
 /** @swagger
  *  /task/new/commit/{uuid}:
  *    post:
@@ -257,6 +404,18 @@ app.post('/task/new/commit/:uuid', authCheck, taskNew.getUUID, taskNew.handleCom
  *          required: false
  *          type: integer
  *        -
+ *          name: priority
+ *          in: formData
+ *          description: 'An optional integer priority for the task. Tasks with a higher priority are processed before tasks with a lower priority. Tasks with the same priority are processed in the order they were created. Defaults to 0.'
+ *          required: false
+ *          type: integer
+ *        -
+ *          name: storage
+ *          in: formData
+ *          description: 'An optional JSON object overriding where the results of this task are uploaded, for example: {"backend": "s3", "bucket": "my-bucket", "prefix": "outputs", "paths": ["all.zip"], "cleanup": false}. Only "backend" is required. The backend and bucket must be allowed by the node operator (see --storage_allowlist).'
+ *          required: false
+ *          type: string
+ *        -
  *          name: token
  *          in: query
  *          description: 'Token required for authentication (when authentication is required).'
@@ -278,12 +437,16 @@ app.post('/task/new/commit/:uuid', authCheck, taskNew.getUUID, taskNew.handleCom
  *              uuid:
  *                type: string
  *                description: UUID of the newly created task
+ *        503:
+ *          description: The node is draining and does not accept new tasks
+ *          schema:
+ *            $ref: '#/definitions/Error'
  *        default:
  *          description: Error
  *          schema:
  *            $ref: '#/definitions/Error'
  */
-app.post('/task/new', authCheck, taskNew.assignUUID, taskNew.uploadImages, (req, res, next) => {
+app.post('/task/new', authCheck, drainingCheck, taskNew.assignUUID, taskNew.uploadImages, (req, res, next) => {
     req.body = req.body || {};
     if ((!req.files || req.files.length === 0) && !req.body.zipurl) req.error = "Need at least 1 file or a zip file url.";
     else if (config.maxImages && req.files && req.files.length > config.maxImages) req.error = `${req.files.length} images uploaded, but this node can only process up to ${config.maxImages}.`;
@@ -295,17 +458,83 @@ app.post('/task/new', authCheck, taskNew.assignUUID, taskNew.uploadImages, (req,
 }, taskNew.createTask);
 
 let getTaskFromUuid = (req, res, next) => {
-    let task = taskManager.find(req.params.uuid);
-    if (task) {
-        req.task = task;
-        next();
-    } else res.json({ error: `${req.params.uuid} not found` });
+    taskManager.find(req.params.uuid, (err, task) => {
+        if (task) {
+            req.task = task;
+            next();
+        } else res.json({ error: err.message });
+    });
+};
+
+// Task info including its position in the queue
+const getTaskInfo = (task, queue = taskManager.getQueuedTasks(), estimates = taskManager.getEstimates(queue)) => {
+    const info = task.getInfo();
+    info.queuePosition = taskManager.getQueuePosition(task, queue);
+    info.eta = taskManager.getEta(task, estimates);
+    return info;
+};
+
+const TASK_LIST_FIELDS = ["name", "dateCreated", "processingTime", "status", "options",
+                          "imagesCount", "progress", "priority", "stages", "queuePosition", "eta"];
+
+// Reads the filters of a /task/list request
+// (see TaskStoreBase.query), throws an error if they are invalid
+const parseTaskListFilter = query => {
+    const filter = {};
+
+    if (query.status){
+        filter.status = String(query.status).split(",").map(s => {
+            s = s.trim();
+            const code = /^\d+$/.test(s) ? parseInt(s) : statusCodes[s.toUpperCase()];
+            if (!code || !Object.keys(statusCodes).some(k => statusCodes[k] === code)){
+                throw new Error(`Invalid status: ${s}`);
+            }
+            return code;
+        });
+    }
+
+    if (query.name) filter.name = String(query.name);
+
+    ["createdAfter", "createdBefore"].forEach(param => {
+        if (query[param] === undefined || query[param] === "") return;
+
+        const value = String(query[param]);
+        const date = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+        if (isNaN(date)) throw new Error(`Invalid ${param}: ${value}`);
+        filter[param] = date;
+    });
+
+    if (query.sort){
+        if (!TaskStoreBase.parseSort(String(query.sort))) throw new Error(`Invalid sort: ${query.sort}`);
+        filter.sort = String(query.sort);
+    }
+
+    ["limit", "offset"].forEach(param => {
+        if (query[param] === undefined || query[param] === "") return;
+
+        const value = String(query[param]);
+        if (!/^\d+$/.test(value)) throw new Error(`Invalid ${param}: ${value}`);
+        filter[param] = parseInt(value);
+    });
+
+    return filter;
+};
+
+// @return {Array} the task fields to include in a /task/list response
+const parseTaskListFields = fields => {
+    if (fields === undefined || fields === "") return ["queuePosition"];
+    if (fields === "*") return TASK_LIST_FIELDS;
+
+    return String(fields).split(",").map(f => f.trim()).filter(f => f !== "uuid" && f !== "").map(f => {
+        if (TASK_LIST_FIELDS.indexOf(f) === -1) throw new Error(`Invalid field: ${f} (must be one of: ${TASK_LIST_FIELDS.join(", ")})`);
+        return f;
+    });
 };
 
 /** @swagger
  *  /task/list:
  *     get:
- *       description: Gets the list of tasks available on this node.
+ *       description: Gets the list of tasks available on this node. Tasks can be filtered, sorted and paginated. The total number of tasks matching the filters (before pagination) is returned in the X-Total-Count header.
  *       tags: [task]
  *       parameters:
  *        -
@@ -314,9 +543,64 @@ let getTaskFromUuid = (req, res, next) => {
  *          description: 'Token required for authentication (when authentication is required).'
  *          required: false
  *          type: string
+ *        -
+ *          name: status
+ *          in: query
+ *          description: 'Comma-separated list of status codes (10, 20, 30, 40, 50, 60) or names (queued, running, failed, completed, canceled, paused) of the tasks to return.'
+ *          required: false
+ *          type: string
+ *        -
+ *          name: name
+ *          in: query
+ *          description: 'Only return tasks whose name contains this string (case-insensitive).'
+ *          required: false
+ *          type: string
+ *        -
+ *          name: createdAfter
+ *          in: query
+ *          description: 'Only return tasks created at or after this date (milliseconds since epoch or ISO 8601 date).'
+ *          required: false
+ *          type: string
+ *        -
+ *          name: createdBefore
+ *          in: query
+ *          description: 'Only return tasks created before this date (milliseconds since epoch or ISO 8601 date).'
+ *          required: false
+ *          type: string
+ *        -
+ *          name: sort
+ *          in: query
+ *          description: 'Field to sort tasks by (dateCreated, name, priority, status). Prefix with "-" for descending order.'
+ *          default: dateCreated
+ *          required: false
+ *          type: string
+ *        -
+ *          name: limit
+ *          in: query
+ *          description: 'Maximum number of tasks to return.'
+ *          required: false
+ *          type: integer
+ *        -
+ *          name: offset
+ *          in: query
+ *          description: 'Number of tasks to skip.'
+ *          default: 0
+ *          required: false
+ *          type: integer
+ *        -
+ *          name: fields
+ *          in: query
+ *          description: 'Comma-separated list of fields to include for each task (any field of /task/{uuid}/info, plus queuePosition), or "*" for all of them. The uuid is always included.'
+ *          default: queuePosition
+ *          required: false
+ *          type: string
  *       responses:
  *        200:
  *          description: Task List
+ *          headers:
+ *            X-Total-Count:
+ *              type: integer
+ *              description: Number of tasks matching the filters
  *          schema:
  *            title: TaskList
  *            type: array
@@ -327,17 +611,43 @@ let getTaskFromUuid = (req, res, next) => {
  *                uuid:
  *                  type: string
  *                  description: UUID
+ *                queuePosition:
+ *                  type: integer
+ *                  description: Position of the task in the processing queue (starting from 1), or -1 if the task is not queued
  *        default:
  *          description: Error
  *          schema:
  *            $ref: '#/definitions/Error'
  */
 app.get('/task/list', authCheck, (req, res) => {
-    const tasks = [];
-    for (let uuid in taskManager.tasks){
-        tasks.push({uuid});
+    let filter, fields;
+    try{
+        filter = parseTaskListFilter(req.query);
+        fields = parseTaskListFields(req.query.fields);
+    }catch(e){
+        return res.json({ error: e.message });
     }
-    res.json(tasks);
+
+    taskManager.query(filter, (err, result) => {
+        if (err) return res.json({ error: err.message });
+
+        const queue = taskManager.getQueuedTasks();
+        const estimates = taskManager.getEstimates(queue);
+        const tasks = [];
+        result.tasks.forEach(taskJson => {
+            // Finished tasks that are not in memory are described from the store
+            const task = taskManager.findLoaded(taskJson.uuid);
+            const info = task ? getTaskInfo(task, queue, estimates) :
+                                Object.assign(Task.InfoFromSerialized(taskJson), { queuePosition: -1, eta: null });
+
+            const item = { uuid: taskJson.uuid };
+            fields.forEach(field => item[field] = info[field]);
+            tasks.push(item);
+        });
+
+        res.set('X-Total-Count', result.total);
+        res.json(tasks);
+    });
 });
 
 /** @swagger
@@ -391,8 +701,8 @@ app.get('/task/list', authCheck, (req, res) => {
  *              properties:
  *                code:
  *                  type: integer
- *                  description: Status code (10 = QUEUED, 20 = RUNNING, 30 = FAILED, 40 = COMPLETED, 50 = CANCELED)
- *                  enum: [10, 20, 30, 40, 50]
+ *                  description: Status code (10 = QUEUED, 20 = RUNNING, 30 = FAILED, 40 = COMPLETED, 50 = CANCELED, 60 = PAUSED)
+ *                  enum: [10, 20, 30, 40, 50, 60]
  *            options:
  *              type: array
  *              description: List of options used to process this task
@@ -412,6 +722,41 @@ app.get('/task/list', authCheck, (req, res) => {
  *            progress:
  *              type: float
  *              description: Percentage progress (estimated) of the task
+ *            priority:
+ *              type: integer
+ *              description: Priority of the task (tasks with a higher priority are processed first)
+ *            stages:
+ *              type: array
+ *              description: Processing stages, in the order they started. Includes the stages of ODM (as reported in the console output) followed by postprocess, zip and upload.
+ *              items:
+ *                type: object
+ *                required: [name, status, startedAt, finishedAt]
+ *                properties:
+ *                  name:
+ *                    type: string
+ *                    description: 'Stage name (example: "opensfm")'
+ *                  status:
+ *                    type: string
+ *                    enum: [running, completed, failed, canceled]
+ *                  startedAt:
+ *                    type: integer
+ *                    description: Timestamp
+ *                  finishedAt:
+ *                    type: integer
+ *                    description: Timestamp, or null if the stage is running
+ *            queuePosition:
+ *              type: integer
+ *              description: Position of the task in the processing queue (starting from 1), or -1 if the task is not queued
+ *            eta:
+ *              type: object
+ *              description: Estimated start and completion times of a running or queued task, based on the stage timings and number of images of the tasks that have completed on this node (null if the task is not running or queued)
+ *              properties:
+ *                start:
+ *                  type: integer
+ *                  description: Timestamp at which the task started (or is expected to start), or null if no estimate is available
+ *                completion:
+ *                  type: integer
+ *                  description: Timestamp at which the task is expected to complete, or null if no estimate is available
  *            output:
  *              type: array
  *              description: Console output for the task (only if requested via ?output=<linenum>)
@@ -423,9 +768,16 @@ app.get('/task/list', authCheck, (req, res) => {
  *            $ref: '#/definitions/Error'
  */
 app.get('/task/:uuid/info', authCheck, getTaskFromUuid, (req, res) => {
-    const info = req.task.getInfo();
-    if (req.query.with_output !== undefined) info.output = req.task.getOutput(req.query.with_output);
-    res.json(info);
+    const info = getTaskInfo(req.task);
+    if (req.query.with_output !== undefined){
+        req.task.getOutput(req.query.with_output, (err, output) => {
+            if (err) res.json({ error: err.message });
+            else{
+                info.output = output;
+                res.json(info);
+            }
+        });
+    }else res.json(info);
 });
 
 /** @swagger
@@ -464,28 +816,62 @@ app.get('/task/:uuid/info', authCheck, getTaskFromUuid, (req, res) => {
  *            $ref: '#/definitions/Error'
  */
 app.get('/task/:uuid/output', authCheck, getTaskFromUuid, (req, res) => {
-    res.json(req.task.getOutput(req.query.line));
+    req.task.getOutput(req.query.line, (err, output) => {
+        if (err) res.json({ error: err.message });
+        else res.json(output);
+    });
 });
 
 /** @swagger
- *  /task/{uuid}/download/{asset}:
+ *  /task/{uuid}/events:
+ *     get:
+ *       description: 'Streams the events of this task as Server-Sent Events. Event types are "status" ({uuid, status}), "progress" ({uuid, progress}), "output" ({uuid, line}), "stages" ({uuid, stages}) and "removed" ({uuid}). Unless the client resumes a previous stream via the Last-Event-ID header (or lastEventId query parameter), an "info" event with the current task information (see /task/{uuid}/info) is sent first.'
+ *       tags: [task]
+ *       produces: [text/event-stream]
+ *       parameters:
+ *        -
+ *           name: uuid
+ *           in: path
+ *           description: UUID of the task
+ *           required: true
+ *           type: string
+ *        -
+ *          name: lastEventId
+ *          in: query
+ *          description: 'ID of the last event received, for clients that cannot set the Last-Event-ID header.'
+ *          required: false
+ *          type: string
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *       responses:
+ *        200:
+ *         description: Event Stream
+ *         schema:
+ *           type: string
+ *        default:
+ *          description: Error
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.get('/task/:uuid/events', authCheck, getTaskFromUuid, (req, res) => {
+    taskEvents.stream(req, res, req.task.uuid, () => [getTaskInfo(req.task)]);
+});
+
+/** @swagger
+ *  /task/{uuid}/assets:
  *    get:
- *      description: Retrieves an asset (the output of OpenDroneMap's processing) associated with a task
+ *      description: Lists the assets of a task that are available for download
  *      tags: [task]
- *      produces: [application/zip]
  *      parameters:
  *        - name: uuid
  *          in: path
  *          type: string
  *          description: UUID of the task
  *          required: true
- *        - name: asset
- *          in: path
- *          type: string
- *          description: Type of asset to download. Use "all.zip" for zip file containing all assets.
- *          required: true
- *          enum:
- *            - all.zip
  *        -
  *          name: token
  *          in: query
@@ -494,39 +880,504 @@ app.get('/task/:uuid/output', authCheck, getTaskFromUuid, (req, res) => {
  *          type: string
  *      responses:
  *        200:
- *          description: Asset File
+ *          description: List of assets
  *          schema:
- *            type: file
+ *            type: array
+ *            items:
+ *              type: object
+ *              required: [name, size, mimeType, sha256]
+ *              properties:
+ *                name:
+ *                  type: string
+ *                  description: Name of the asset, to be used with /task/{uuid}/download/{asset}
+ *                size:
+ *                  type: integer
+ *                  description: Size in bytes
+ *                mimeType:
+ *                  type: string
+ *                  description: MIME type
+ *                sha256:
+ *                  type: string
+ *                  description: SHA-256 checksum (hex)
  *        default:
  *          description: Error message
  *          schema:
  *            $ref: '#/definitions/Error'
  */
-app.get('/task/:uuid/download/:asset', authCheck, getTaskFromUuid, (req, res) => {
-    let asset = req.params.asset !== undefined ? req.params.asset : "all.zip";
-    let filePath = req.task.getAssetsArchivePath(asset);
-    if (filePath) {
-        if (fs.existsSync(filePath)) {
-            res.setHeader('Content-Disposition', `attachment; filename=${asset}`);
-            res.setHeader('Content-Type', mime.getType(filePath));
-            res.setHeader('Content-Length', fs.statSync(filePath).size);
-
-            const filestream = fs.createReadStream(filePath);
-            filestream.pipe(res);
-        } else {
-            res.json({ error: "Asset not ready" });
-        }
-    } else {
-        res.json({ error: "Invalid asset" });
-    }
+app.get('/task/:uuid/assets', authCheck, getTaskFromUuid, (req, res) => {
+    req.task.getAssets((err, assets, updated) => {
+        if (updated) taskManager.saveTask(req.task);
+
+        if (err) res.json({ error: err.message });
+        else res.json(assets);
+    });
 });
 
 /** @swagger
- * definition:
- *   Error:
- *     type: object
- *     required:
- *       - error
+ *  /task/{uuid}/report:
+ *    get:
+ *      description: Retrieves a quality report of the task, computed from the outputs of OpenDroneMap. Values that are not available (for example because the task has not completed or an output was not generated) are null.
+ *      tags: [task]
+ *      parameters:
+ *        - name: uuid
+ *          in: path
+ *          type: string
+ *          description: UUID of the task
+ *          required: true
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Quality report
+ *          schema:
+ *            type: object
+ *            required: [uuid, name, status, processingTime, images, gsd, area, gcp, stages]
+ *            properties:
+ *              uuid:
+ *                type: string
+ *                description: UUID
+ *              name:
+ *                type: string
+ *                description: Name
+ *              status:
+ *                type: object
+ *                description: Status of the task (same as /task/{uuid}/info)
+ *              processingTime:
+ *                type: integer
+ *                description: Milliseconds that have elapsed since the task started being processed.
+ *              images:
+ *                type: object
+ *                properties:
+ *                  uploaded:
+ *                    type: integer
+ *                    description: Number of images uploaded
+ *                  reconstructed:
+ *                    type: integer
+ *                    description: Number of images that were reconstructed (shots.geojson)
+ *              gsd:
+ *                type: number
+ *                description: Average ground sampling distance (cm/pixel)
+ *              area:
+ *                type: number
+ *                description: Area covered by the camera positions (square meters, convex hull of shots.geojson)
+ *              gcp:
+ *                type: object
+ *                description: Ground control point residuals (ground_control_points.geojson), or null if no GCPs were used
+ *                properties:
+ *                  count:
+ *                    type: integer
+ *                    description: Number of ground control points
+ *                  residuals:
+ *                    type: array
+ *                    items:
+ *                      type: object
+ *                      properties:
+ *                        id:
+ *                          type: string
+ *                        observations:
+ *                          type: integer
+ *                          description: Number of images where the point was observed
+ *                        x:
+ *                          type: number
+ *                        y:
+ *                          type: number
+ *                        z:
+ *                          type: number
+ *                        horizontal:
+ *                          type: number
+ *                    description: Residuals of each point (meters)
+ *                  rmse:
+ *                    type: object
+ *                    description: Horizontal and vertical root mean square error (meters)
+ *                    properties:
+ *                      horizontal:
+ *                        type: number
+ *                      vertical:
+ *                        type: number
+ *              stages:
+ *                type: array
+ *                description: Processing time of each stage (see /task/{uuid}/info)
+ *                items:
+ *                  type: object
+ *                  properties:
+ *                    name:
+ *                      type: string
+ *                    status:
+ *                      type: string
+ *                      enum: [running, completed, failed, canceled]
+ *                    startedAt:
+ *                      type: integer
+ *                      description: Timestamp (milliseconds)
+ *                    finishedAt:
+ *                      type: integer
+ *                      description: Timestamp (milliseconds), or null if the stage did not finish
+ *                    duration:
+ *                      type: integer
+ *                      description: Milliseconds, or null if the stage did not finish
+ *        default:
+ *          description: Error message
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.get('/task/:uuid/report', authCheck, getTaskFromUuid, (req, res) => {
+    report.build(req.task, (err, result) => {
+        if (err) res.json({ error: err.message });
+        else res.json(result);
+    });
+});
+
+/** @swagger
+ *  /task/{uuid}/download/{asset}:
+ *    get:
+ *      description: Retrieves an asset (the output of OpenDroneMap's processing) associated with a task. Supports byte ranges (Range, If-Range) to resume interrupted downloads, as well as conditional requests (If-None-Match, If-Modified-Since).
+ *      tags: [task]
+ *      produces: [application/zip, application/octet-stream]
+ *      parameters:
+ *        - name: uuid
+ *          in: path
+ *          type: string
+ *          description: UUID of the task
+ *          required: true
+ *        - name: asset
+ *          in: path
+ *          type: string
+ *          description: Type of asset to download. Use "all.zip" for zip file containing all assets. See /task/{uuid}/assets for the list of assets available for a task.
+ *          required: true
+ *          enum:
+ *            - all.zip
+ *            - orthophoto.tif
+ *            - orthophoto.png
+ *            - orthophoto.kmz
+ *            - orthophoto.mbtiles
+ *            - cutline.gpkg
+ *            - dsm.tif
+ *            - dtm.tif
+ *            - georeferenced_model.laz
+ *            - georeferenced_model.las
+ *            - georeferenced_model.ply
+ *            - georeferenced_model.csv
+ *            - ground_control_points.geojson
+ *            - textured_model.glb
+ *            - report.pdf
+ *            - shots.geojson
+ *            - cameras.json
+ *            - images.json
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Asset File
+ *          schema:
+ *            type: file
+ *        206:
+ *          description: Requested byte range of the asset file
+ *          schema:
+ *            type: file
+ *        304:
+ *          description: Asset file not modified
+ *        416:
+ *          description: Requested byte range not satisfiable
+ *        default:
+ *          description: Error message
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.get('/task/:uuid/download/:asset', authCheck, getTaskFromUuid, (req, res) => {
+    let asset = req.params.asset !== undefined ? req.params.asset : "all.zip";
+    let filePath = req.task.getAssetsArchivePath(asset);
+    if (filePath) {
+        fs.stat(filePath, (err, stats) => {
+            if (!err && stats.isFile()) {
+                res.attachment(asset);
+                res.setHeader('Content-Type', mime.getType(filePath) || 'application/octet-stream');
+
+                // Strong validator (unlike the default weak ETag),
+                // so that clients can resume downloads with If-Range
+                res.setHeader('ETag', `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`);
+
+                // Handles Range, If-Range, If-None-Match and If-Modified-Since
+                res.sendFile(path.resolve(filePath), { dotfiles: 'allow' }, err => {
+                    if (err && !res.headersSent){
+                        res.removeHeader('Content-Disposition');
+                        res.removeHeader('Content-Type');
+                        if (err.status === 416){
+                            res.status(416).set('Content-Range', `bytes */${stats.size}`);
+                        }
+                        res.json({ error: err.message });
+                    }
+                });
+            } else {
+                res.json({ error: "Asset not ready" });
+            }
+        });
+    } else {
+        res.json({ error: "Invalid asset" });
+    }
+});
+
+/** @swagger
+ *  /task/{uuid}/zip:
+ *    get:
+ *      description: Retrieves a zip archive of a subset of the outputs of a task. The archive is created on the fly.
+ *      tags: [task]
+ *      produces: [application/zip]
+ *      parameters:
+ *        - name: uuid
+ *          in: path
+ *          type: string
+ *          description: UUID of the task
+ *          required: true
+ *        - name: paths
+ *          in: query
+ *          type: string
+ *          description: 'JSON encoded list of paths (files, directories or glob patterns) relative to the task folder, for example ["odm_orthophoto/odm_orthophoto.tif","odm_dem/dsm.tif","odm_report/report.pdf"]. Paths that do not exist are skipped.'
+ *          required: true
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Zip archive
+ *          schema:
+ *            type: file
+ *        default:
+ *          description: Error message
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.get('/task/:uuid/zip', authCheck, getTaskFromUuid, (req, res) => {
+    const paths = utils.parseUnsafePathsList(req.query.paths);
+    if (paths.length === 0) return res.json({ error: "paths must be a non-empty list" });
+
+    req.task.createZipStream(paths, (err, archive) => {
+        if (err) return res.json({ error: err.message });
+
+        archive.on('error', err => {
+            logger.error(`Could not stream .zip file for ${req.task.uuid}: ${err.message}`);
+            res.destroy(err);
+        });
+        res.on('close', () => {
+            if (!res.writableFinished) archive.abort();
+        });
+
+        res.attachment(`${req.task.getSanitizedName()}.zip`);
+        archive.pipe(res);
+    });
+});
+
+/** @swagger
+ *  /task/{uuid}/tiles/{type}/tilejson.json:
+ *    get:
+ *      description: Retrieves a TileJSON descriptor of the tiles of a task, which can be used to display them with Leaflet, OpenLayers or other web map clients. Tiles are read from the tiles folder of the task or, if not available, from its MBTiles file (orthophoto only).
+ *      tags: [task]
+ *      parameters:
+ *        - name: uuid
+ *          in: path
+ *          type: string
+ *          description: UUID of the task
+ *          required: true
+ *        - name: type
+ *          in: path
+ *          type: string
+ *          description: Type of tiles
+ *          required: true
+ *          enum:
+ *            - orthophoto
+ *            - dsm
+ *            - dtm
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required). It is added to the URL of the tiles.'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: TileJSON descriptor (https://github.com/mapbox/tilejson-spec)
+ *          schema:
+ *            type: object
+ *        default:
+ *          description: Error message
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.get('/task/:uuid/tiles/:type/tilejson.json', authCheck, getTaskFromUuid, (req, res) => {
+    if (!tiles.isValidType(req.params.type)) return res.json({ error: "Invalid tiles type" });
+
+    const source = tiles.getTileSource(req.task, req.params.type);
+    if (!source) return res.json({ error: "Tiles not available" });
+
+    tiles.readTileSource(source, (err, tileMap) => {
+        if (err) return res.json({ error: `Tiles not available (${err.message})` });
+
+        let tileUrl = `${req.protocol}://${req.get('host')}/task/${req.task.uuid}/tiles/${req.params.type}/{z}/{x}/{y}.png`;
+        if (req.query.token) tileUrl += `?token=${encodeURIComponent(req.query.token)}`;
+
+        res.json(tiles.getTileJson(`${req.task.name} (${req.params.type})`, tileMap, tileUrl));
+    });
+});
+
+/** @swagger
+ *  /task/{uuid}/tiles/{type}/{z}/{x}/{y}.png:
+ *    get:
+ *      description: Retrieves a tile of a task
+ *      tags: [task]
+ *      produces: [image/png]
+ *      parameters:
+ *        - name: uuid
+ *          in: path
+ *          type: string
+ *          description: UUID of the task
+ *          required: true
+ *        - name: type
+ *          in: path
+ *          type: string
+ *          description: Type of tiles
+ *          required: true
+ *          enum:
+ *            - orthophoto
+ *            - dsm
+ *            - dtm
+ *        - name: z
+ *          in: path
+ *          type: integer
+ *          description: Zoom level
+ *          required: true
+ *        - name: x
+ *          in: path
+ *          type: integer
+ *          description: Column
+ *          required: true
+ *        - name: y
+ *          in: path
+ *          type: integer
+ *          description: Row
+ *          required: true
+ *        - name: scheme
+ *          in: query
+ *          type: string
+ *          description: 'Tiling scheme of the y coordinate: xyz (as used by Leaflet, OpenLayers and most web maps) or tms'
+ *          required: false
+ *          default: xyz
+ *          enum:
+ *            - xyz
+ *            - tms
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Tile
+ *          schema:
+ *            type: file
+ *        404:
+ *          description: Tile not found
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ *        default:
+ *          description: Error message
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.get('/task/:uuid/tiles/:type/:z(\\d+)/:x(\\d+)/:y(\\d+).png', authCheck, getTaskFromUuid, (req, res) => {
+    if (!tiles.isValidType(req.params.type)) return res.json({ error: "Invalid tiles type" });
+
+    const source = tiles.getTileSource(req.task, req.params.type);
+    if (!source) return res.status(404).json({ error: "Tiles not available" });
+
+    const z = parseInt(req.params.z),
+          x = parseInt(req.params.x);
+    let y = parseInt(req.params.y);
+
+    // gdal2tiles and MBTiles use the TMS scheme
+    if (req.query.scheme !== "tms") y = tiles.flipY(z, y);
+
+    if (source.folder){
+        const tilePath = path.resolve(source.folder, String(z), String(x), `${y}.png`);
+        res.sendFile(tilePath, { dotfiles: 'allow', maxAge: '1h' }, err => {
+            if (err && !res.headersSent) res.status(404).json({ error: "Tile not found" });
+        });
+    }else{
+        tiles.readMBTile(source.mbtiles, z, x, y, (err, tile) => {
+            if (err) res.json({ error: `Cannot read tile (${err.message})` });
+            else if (!tile.data) res.status(404).json({ error: "Tile not found" });
+            else{
+                res.set('Cache-Control', 'public, max-age=3600');
+                res.type(tile.mimeType).send(tile.data);
+            }
+        });
+    }
+});
+
+// Folders of a task that are served to the 3D viewer
+const VIEWER_FOLDERS = ["potree_pointcloud", "entwine_pointcloud", "3d_tiles", "odm_texturing"];
+
+/** @swagger
+ *  /task/{uuid}/3d/{path}:
+ *    get:
+ *      description: Retrieves a file of the 3D outputs of a task (potree_pointcloud, entwine_pointcloud, 3d_tiles and odm_texturing folders), as used by the 3D viewer (3d.html).
+ *      tags: [task]
+ *      parameters:
+ *        - name: uuid
+ *          in: path
+ *          type: string
+ *          description: UUID of the task
+ *          required: true
+ *        - name: path
+ *          in: path
+ *          type: string
+ *          description: 'Path of the file, relative to the task folder (for example, potree_pointcloud/cloud.js or odm_texturing/odm_textured_model_geo.glb)'
+ *          required: true
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: File
+ *          schema:
+ *            type: file
+ *        404:
+ *          description: File not found
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.get('/task/:uuid/3d/*', authCheck, getTaskFromUuid, (req, res) => {
+    const filePath = path.normalize(req.params[0]);
+    const folder = filePath.split(path.sep)[0];
+    if (VIEWER_FOLDERS.indexOf(folder) === -1) return res.status(404).json({ error: "File not found" });
+
+    res.setHeader('Content-Type', mime.getType(filePath) || 'application/octet-stream');
+    res.sendFile(filePath, { root: path.resolve(req.task.getResultsFolderPath()), maxAge: '1h' }, err => {
+        if (err && !res.headersSent){
+            res.removeHeader('Content-Type');
+            res.status(err.status || 404).json({ error: "File not found" });
+        }
+    });
+});
+
+/** @swagger
+ * definition:
+ *   Error:
+ *     type: object
+ *     required:
+ *       - error
  *     properties:
  *       error:
  *         type: string
@@ -543,22 +1394,86 @@ app.get('/task/:uuid/download/:asset', authCheck, getTaskFromUuid, (req, res) =>
  *         type: string
  *         description: Error message if an error occured
  */
-let uuidCheck = (req, res, next) => {
-    if (!req.body.uuid) res.json({ error: "uuid param missing." });
-    else next();
-};
-
-let successHandler = res => {
-    return err => {
-        if (!err) res.json({ success: true });
-        else res.json({ success: false, error: err.message });
-    };
-};
+let uuidCheck = (req, res, next) => {
+    if (!req.body.uuid) res.json({ error: "uuid param missing." });
+    else next();
+};
+
+let successHandler = res => {
+    return err => {
+        if (!err) res.json({ success: true });
+        else res.json({ success: false, error: err.message });
+    };
+};
+
+/** @swagger
+ * /task/cancel:
+ *    post:
+ *      description: Cancels a task (stops its execution, or prevents it from being executed)
+ *      parameters:
+ *        -
+ *          name: uuid
+ *          in: body
+ *          description: UUID of the task
+ *          required: true
+ *          schema:
+ *            type: string
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Command Received
+ *          schema:
+ *            $ref: "#/definitions/Response"
+ */
+app.post('/task/cancel', urlEncodedBodyParser, jsonBodyParser, authCheck, uuidCheck, (req, res) => {
+    taskManager.cancel(req.body.uuid, successHandler(res));
+});
+
+/** @swagger
+ * /task/pause:
+ *    post:
+ *      description: Pauses a running task (its processes are suspended until the task is resumed). The time spent paused does not count towards the processing time.
+ *      parameters:
+ *        -
+ *          name: uuid
+ *          in: body
+ *          description: UUID of the task
+ *          required: true
+ *          schema:
+ *            type: string
+ *        -
+ *          name: freeSlot
+ *          in: body
+ *          description: 'When set, another queued task can start processing while this task is paused. Once resumed, the task runs in addition to the tasks already being processed.'
+ *          required: false
+ *          schema:
+ *            type: boolean
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Command Received
+ *          schema:
+ *            $ref: "#/definitions/Response"
+ */
+app.post('/task/pause', urlEncodedBodyParser, jsonBodyParser, authCheck, uuidCheck, (req, res) => {
+    const freeSlot = req.body.freeSlot === true || req.body.freeSlot === 'true';
+    taskManager.pause(req.body.uuid, freeSlot, successHandler(res));
+});
 
 /** @swagger
- * /task/cancel:
+ * /task/resume:
  *    post:
- *      description: Cancels a task (stops its execution, or prevents it from being executed)
+ *      description: Resumes a paused task
  *      parameters:
  *        -
  *          name: uuid
@@ -579,8 +1494,8 @@ let successHandler = res => {
  *          schema:
  *            $ref: "#/definitions/Response"
  */
-app.post('/task/cancel', urlEncodedBodyParser, jsonBodyParser, authCheck, uuidCheck, (req, res) => {
-    taskManager.cancel(req.body.uuid, successHandler(res));
+app.post('/task/resume', urlEncodedBodyParser, jsonBodyParser, authCheck, uuidCheck, (req, res) => {
+    taskManager.resume(req.body.uuid, successHandler(res));
 });
 
 /** @swagger
@@ -631,6 +1546,13 @@ app.post('/task/remove', urlEncodedBodyParser, jsonBodyParser, authCheck, uuidCh
  *          schema:
  *            type: string
  *        -
+ *          name: rerunFrom
+ *          in: body
+ *          description: 'ODM stage to restart processing from (for example "odm_dem"). The outputs and console output of the previous stages are kept. By default (and after images or GCP files were added or removed) the entire pipeline is processed again.'
+ *          required: false
+ *          schema:
+ *            type: string
+ *        -
  *          name: token
  *          in: query
  *          description: 'Token required for authentication (when authentication is required).'
@@ -652,8 +1574,243 @@ app.post('/task/restart', urlEncodedBodyParser, jsonBodyParser, authCheck, uuidC
             }
         });
     } else next();
+}, (req, res, next) => {
+    if (req.body.rerunFrom){
+        odmInfo.getStages((err, stages) => {
+            if (err) res.json({ error: err.message });
+            else if (stages.indexOf(req.body.rerunFrom) === -1) res.json({ error: `Invalid rerunFrom: ${req.body.rerunFrom} (must be one of: ${stages.join(", ")})` });
+            else next();
+        });
+    } else next();
 }, (req, res) => {
-    taskManager.restart(req.body.uuid, req.body.options, successHandler(res));
+    taskManager.restart(req.body.uuid, req.body.options, req.body.rerunFrom || null, successHandler(res));
+});
+
+// Rejects requests to change the files of a task that is queued or running
+const canEditFilesCheck = (req, res, next) => {
+    if (!req.task.canEditFiles()) res.json({ error: "Files can only be changed when a task is canceled, has failed or has completed" });
+    else next();
+};
+
+/** @swagger
+ * /task/{uuid}/images/add:
+ *    post:
+ *      description: Adds images (or GCP, geo, image groups and alignment files) to a task that was canceled, has failed or has completed. Files with the same name as existing files replace them and .zip archives are extracted. The task can then be processed again with /task/restart (the entire pipeline runs again, since the outputs no longer match the images).
+ *      tags: [task]
+ *      consumes:
+ *        - multipart/form-data
+ *      parameters:
+ *        -
+ *           name: uuid
+ *           in: path
+ *           description: UUID of the task
+ *           required: true
+ *           type: string
+ *        -
+ *          name: images
+ *          in: formData
+ *          description: Images to add, plus optional files such as a GEO file (geo.txt), image groups file (image_groups.txt), GCP file (*.txt) or alignment files (align.las, align.laz, align.tif).
+ *          required: true
+ *          type: file
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Files Added
+ *          schema:
+ *            $ref: "#/definitions/Response"
+ *        default:
+ *          description: Error
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.post('/task/:uuid/images/add', authCheck, getTaskFromUuid, canEditFilesCheck, taskNew.assignUploadId, taskNew.uploadImages, taskNew.handleAddFiles);
+
+/** @swagger
+ * /task/{uuid}/images/remove:
+ *    post:
+ *      description: Removes images (or GCP, geo, image groups and alignment files) from a task that was canceled, has failed or has completed. The task can then be processed again with /task/restart (the entire pipeline runs again).
+ *      tags: [task]
+ *      parameters:
+ *        -
+ *           name: uuid
+ *           in: path
+ *           description: UUID of the task
+ *           required: true
+ *           type: string
+ *        -
+ *          name: files
+ *          in: body
+ *          description: 'Serialized JSON string of the names of the files to remove. For example, ["DJI_0001.JPG","gcp_list.txt"]'
+ *          required: true
+ *          schema:
+ *            type: string
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Files Removed
+ *          schema:
+ *            $ref: "#/definitions/Response"
+ */
+app.post('/task/:uuid/images/remove', urlEncodedBodyParser, jsonBodyParser, authCheck, getTaskFromUuid, canEditFilesCheck, (req, res) => {
+    let files = req.body.files;
+    try{
+        if (typeof files === "string") files = JSON.parse(files);
+    }catch(e){
+        files = null;
+    }
+
+    if (!Array.isArray(files) || files.length === 0 || files.some(f => typeof f !== "string")){
+        res.json({ error: "files must be a non-empty JSON array of file names" });
+    }else{
+        req.task.removeFiles(files, successHandler(res));
+    }
+});
+
+/** @swagger
+ * /task/{uuid}/clone:
+ *    post:
+ *      description: Creates a new task with the images and GCP files of an existing task (without uploading them again) and queues it for processing. Unless overridden, the new task uses the same options as the existing task.
+ *      tags: [task]
+ *      parameters:
+ *        -
+ *           name: uuid
+ *           in: path
+ *           description: UUID of the task to clone
+ *           required: true
+ *           type: string
+ *        -
+ *          name: name
+ *          in: body
+ *          description: 'Name of the new task (default: "Copy of <name>")'
+ *          required: false
+ *          schema:
+ *            type: string
+ *        -
+ *          name: options
+ *          in: body
+ *          description: 'Serialized JSON string of the options to use for processing, as an array of the format: [{name: option1, value: value1}, {name: option2, value: value2}, ...]. For a list of all options, call /options. Overrides the options of the existing task.'
+ *          required: false
+ *          schema:
+ *            type: string
+ *        -
+ *          name: priority
+ *          in: body
+ *          description: 'Priority of the new task (default: the priority of the existing task)'
+ *          required: false
+ *          schema:
+ *            type: integer
+ *        -
+ *          name: webhook
+ *          in: body
+ *          description: 'URL to call when processing has ended (default: the webhook of the existing task)'
+ *          required: false
+ *          schema:
+ *            type: string
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Success
+ *          schema:
+ *            type: object
+ *            required: [uuid]
+ *            properties:
+ *              uuid:
+ *                type: string
+ *                description: UUID of the new task
+ *        503:
+ *          description: The node is draining and does not accept new tasks
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ *        default:
+ *          description: Error
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.post('/task/:uuid/clone', urlEncodedBodyParser, jsonBodyParser, authCheck, drainingCheck, getTaskFromUuid, taskNew.cloneTask);
+
+/** @swagger
+ * /task/priority:
+ *    post:
+ *      description: Changes the priority of a task that is waiting to be processed. Tasks with a higher priority are processed first.
+ *      parameters:
+ *        -
+ *          name: uuid
+ *          in: body
+ *          description: UUID of the task
+ *          required: true
+ *          schema:
+ *            type: string
+ *        -
+ *          name: priority
+ *          in: body
+ *          description: New priority of the task (integer)
+ *          required: true
+ *          schema:
+ *            type: integer
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Command Received
+ *          schema:
+ *            $ref: "#/definitions/Response"
+ */
+app.post('/task/priority', urlEncodedBodyParser, jsonBodyParser, authCheck, uuidCheck, (req, res) => {
+    const priority = utils.parsePriority(req.body.priority);
+    if (req.body.priority === undefined || priority === null) res.json({ error: `Invalid priority: ${req.body.priority}` });
+    else taskManager.setPriority(req.body.uuid, priority, successHandler(res));
+});
+
+/** @swagger
+ * /events:
+ *   get:
+ *     description: 'Streams the events of all tasks on this node as Server-Sent Events. Events are the same as in /task/{uuid}/events. Unless the client resumes a previous stream, an "info" event is sent first for each task that is queued or being processed (finished tasks can be listed with /task/list).'
+ *     tags: [server]
+ *     produces: [text/event-stream]
+ *     parameters:
+ *       -
+ *         name: lastEventId
+ *         in: query
+ *         description: 'ID of the last event received, for clients that cannot set the Last-Event-ID header.'
+ *         required: false
+ *         type: string
+ *       -
+ *         name: token
+ *         in: query
+ *         description: 'Token required for authentication (when authentication is required).'
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: Event Stream
+ *         schema:
+ *           type: string
+ */
+app.get('/events', authCheck, (req, res) => {
+    taskEvents.stream(req, res, null, () => {
+        const queue = taskManager.getQueuedTasks();
+        const estimates = taskManager.getEstimates(queue);
+        return taskManager.getRunningTasks().concat(queue).map(task => getTaskInfo(task, queue, estimates));
+    });
 });
 
 /** @swagger
@@ -770,6 +1927,9 @@ app.get('/options', authCheck, (req, res) => {
  *             engine:
  *               type: string
  *               description: Lowercase identifier of processing engine
+ *             draining:
+ *               type: boolean
+ *               description: Whether the node is draining (see /admin/drain)
  */
 app.get('/info', authCheck, (req, res) => {
     async.parallel({
@@ -796,11 +1956,88 @@ app.get('/info', authCheck, (req, res) => {
             maxImages: config.maxImages,
             maxParallelTasks: config.parallelQueueProcessing,
             engineVersion,
-            engine
+            engine,
+            draining: taskManager.draining
         });
     });
 });
 
+/** @swagger
+ * /admin/drain:
+ *   get:
+ *     description: Retrieves the drain status of this node. Useful to know when a draining node has finished processing its tasks (for example during rolling upgrades). Responds with status 503 while the node is draining, so that it can be used as a load balancer health check.
+ *     parameters:
+ *       -
+ *         name: token
+ *         in: query
+ *         description: 'Token required for authentication (when authentication is required).'
+ *         required: false
+ *         type: string
+ *     tags: [server]
+ *     responses:
+ *       200:
+ *         description: Drain status (the node is not draining)
+ *         schema:
+ *           type: object
+ *           required: [draining, runningTasks]
+ *           properties:
+ *             draining:
+ *               type: boolean
+ *               description: Whether the node is draining
+ *             runningTasks:
+ *               type: integer
+ *               description: Number of tasks being processed (including paused tasks)
+ *       503:
+ *         description: Drain status (the node is draining)
+ *         schema:
+ *           type: object
+ *           required: [draining, runningTasks]
+ *           properties:
+ *             draining:
+ *               type: boolean
+ *               description: Whether the node is draining
+ *             runningTasks:
+ *               type: integer
+ *               description: Number of tasks being processed (including paused tasks)
+ */
+app.get('/admin/drain', authCheck, (req, res) => {
+    res.status(taskManager.draining ? 503 : 200).json({
+        draining: taskManager.draining,
+        runningTasks: taskManager.getRunningTasks().length
+    });
+});
+
+/** @swagger
+ * /admin/drain:
+ *   post:
+ *     description: Starts (or stops) draining this node. A draining node does not accept new tasks (requests to create tasks fail with status 503) and does not start processing queued tasks, while running tasks are processed until completion.
+ *     parameters:
+ *       -
+ *         name: enabled
+ *         in: body
+ *         description: 'Whether to drain the node (default: true). Set to false to accept and process tasks again.'
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *       -
+ *         name: token
+ *         in: query
+ *         description: 'Token required for authentication (when authentication is required).'
+ *         required: false
+ *         type: string
+ *     tags: [server]
+ *     responses:
+ *       200:
+ *         description: Command Received
+ *         schema:
+ *           $ref: "#/definitions/Response"
+ */
+app.post('/admin/drain', urlEncodedBodyParser, jsonBodyParser, authCheck, (req, res) => {
+    const enabled = req.body.enabled === undefined || req.body.enabled === true || req.body.enabled === 'true';
+    taskManager.setDraining(enabled);
+    res.json({ success: true });
+});
+
 /** @swagger
  * /auth/info:
  *   get:
@@ -902,17 +2139,48 @@ app.use((err, req, res, next) => {
     res.json({error: err.message});
 });
 
-let gracefulShutdown = done => {
+let shuttingDown = false;
+let stopWaiting = null;
+
+// Stops processing new tasks, waits for the running tasks to complete (up to
+// --drain_timeout seconds), then stops the tasks that are still running,
+// saves the task list and exits. A second signal stops waiting.
+let gracefulShutdown = signal => {
+    if (shuttingDown){
+        if (stopWaiting){
+            logger.info(`Received ${signal}, no longer waiting for running tasks`);
+            stopWaiting();
+        }
+        return;
+    }
+    shuttingDown = true;
+    logger.info(`Received ${signal}, shutting down`);
+
     async.series([
-        cb => taskManager.dumpTaskList(cb),
-        cb => auth.cleanup(cb),
         cb => {
+            if (!taskManager) return cb(); // Not initialized yet
+
+            taskManager.setDraining(true);
+            if (config.drainTimeout > 0 && taskManager.getRunningTasks().length > 0){
+                logger.info(`Waiting up to ${config.drainTimeout} seconds for running tasks to complete`);
+            }
+            stopWaiting = taskManager.waitForRunningTasks(config.drainTimeout * 1000, () => {
+                stopWaiting = null;
+                cb();
+            });
+        },
+        cb => taskManager ? taskManager.terminateRunningTasks(cb) : cb(),
+        cb => taskManager ? taskManager.dumpTaskList(cb) : cb(),
+        cb => auth.cleanup(cb)
+    ], err => {
+        if (err) logger.error(`Error while shutting down: ${err.message}`);
+        if (server){
             logger.info("Closing server");
             server.close();
-            logger.info("Exiting...");
-            process.exit(0);
         }
-    ], done);
+        logger.info("Exiting...");
+        process.exit(err ? 1 : 0);
+    });
 };
 
 // listen for TERM signal .e.g. kill
@@ -936,8 +2204,7 @@ if (!config.has7z) logger.warn("The 7z program is not installed, falling back to
 let commands = [
     cb => odmInfo.initialize(cb),
     cb => auth.initialize(cb),
-    cb => S3.initialize(cb),
-    cb => GCS.initialize(cb),
+    cb => storage.initialize(config, cb),
     cb => { 
         TaskManager.initialize(cb);
         taskManager = TaskManager.singleton();
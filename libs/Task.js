@@ -30,16 +30,164 @@ const odmInfo = require('./odmInfo');
 const processRunner = require('./processRunner');
 const Directories = require('./Directories');
 const kill = require('tree-kill');
-const S3 = require('./S3');
-const GCS = require('./GCS');
+const storageFactory = require('./storage/factory');
 const request = require('request');
 const utils = require('./utils');
 const archiver = require('archiver');
+const glob = require('glob');
+const crypto = require('crypto');
+const childProcess = require('child_process');
+const mime = require('mime');
+const mv = require('mv');
+const tiles = require('./tiles');
+const ziputils = require('./ziputils');
 
 const statusCodes = require('./statusCodes');
+const taskEvents = require('./TaskEvents');
+
+// Stages run by NodeODM after ODM has finished
+const POST_PROCESSING_STAGES = ["postprocess", "zip", "upload"];
+
+// Assets that can be downloaded individually, mapped to
+// their path relative to the results folder (see getResultsFolderPath)
+const ASSETS = {
+    "orthophoto.tif": "odm_orthophoto/odm_orthophoto.tif",
+    "orthophoto.png": "odm_orthophoto/odm_orthophoto.png",
+    "orthophoto.kmz": "odm_orthophoto/odm_orthophoto.kmz",
+    "orthophoto.mbtiles": "odm_orthophoto/odm_orthophoto.mbtiles",
+    "cutline.gpkg": "odm_orthophoto/cutline.gpkg",
+    "dsm.tif": "odm_dem/dsm.tif",
+    "dtm.tif": "odm_dem/dtm.tif",
+    "georeferenced_model.laz": "odm_georeferencing/odm_georeferenced_model.laz",
+    "georeferenced_model.las": "odm_georeferencing/odm_georeferenced_model.las",
+    "georeferenced_model.ply": "odm_georeferencing/odm_georeferenced_model.ply",
+    "georeferenced_model.csv": "odm_georeferencing/odm_georeferenced_model.csv",
+    "ground_control_points.geojson": "odm_georeferencing/ground_control_points.geojson",
+    "textured_model.glb": "odm_texturing/odm_textured_model_geo.glb",
+    "report.pdf": "odm_report/report.pdf",
+    "shots.geojson": "odm_report/shots.geojson",
+    "cameras.json": "cameras.json",
+    "images.json": "images.json"
+};
+
+// Checks whether filePath is sourcePath or one of its descendants
+const isInsideFolder = (sourcePath, filePath) => {
+    const relative = path.relative(path.resolve(sourcePath), path.resolve(filePath));
+    return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+};
+
+// Adds files, directories and glob patterns (relative to sourcePath)
+// to a zip archive. Items that do not exist or that are outside
+// of sourcePath are skipped.
+// @param cb {Function} callback(err, count) where count is the number of items added
+const addPathsToArchive = (archive, sourcePath, files, cb) => {
+    let count = 0;
+    let globs = [];
+
+    // Process files and directories first
+    files.forEach(file => {
+        let filePath = path.join(sourcePath, file);
+        let isGlob = /\*/.test(file);
+
+        if (!isInsideFolder(sourcePath, filePath)){
+            logger.warn(`Skipping ${file}, it is outside of ${sourcePath}`);
+            return;
+        }
+
+        // Skip non-existing items
+        if (!isGlob && !fs.existsSync(filePath)) return;
+
+        if (isGlob){
+            // Traversals are never valid in a pattern
+            if (file.split(/[\/\\]/).indexOf('..') !== -1){
+                logger.warn(`Skipping ${file}, patterns cannot contain ..`);
+                return;
+            }
+            globs.push(file);
+        }else if (fs.lstatSync(filePath).isDirectory()){
+            archive.directory(filePath, file);
+            count++;
+        }else{
+            archive.file(filePath, {name: file});
+            count++;
+        }
+    });
+
+    // Check for globs
+    async.eachSeries(globs, (pattern, cb) => {
+        // Braces are not expanded, as they could be used to build traversals
+        glob(pattern, { cwd: sourcePath, nobrace: true }, (err, files) => {
+            if (err) cb(err);
+            else{
+                files.forEach(match => {
+                    const file = path.resolve(sourcePath, match);
+                    if (!isInsideFolder(sourcePath, file)){
+                        logger.warn(`Skipping ${match} from glob, it is outside of ${sourcePath}`);
+                    }else if (fs.lstatSync(file).isFile()){
+                        archive.file(file, {name: path.basename(file)});
+                        count++;
+                    }else{
+                        logger.debug(`Could not add ${file} from glob`);
+                    }
+                });
+                cb();
+            }
+        });
+    }, err => cb(err, count));
+};
+
+// Lists the descendants of a process (with a single snapshot of the process table)
+// @param cb {Function} callback(err, pids)
+const listChildProcesses = (pid, cb) => {
+    childProcess.execFile('ps', ['-A', '-o', 'pid=,ppid='], (err, stdout) => {
+        if (err) return cb(err);
+
+        const children = {}; // ppid --> [pid]
+        stdout.split("\n").forEach(line => {
+            const [child, parent] = line.trim().split(/\s+/).map(p => parseInt(p));
+            if (isNaN(child) || isNaN(parent)) return;
+            (children[parent] = children[parent] || []).push(child);
+        });
+
+        const pids = [];
+        const queue = [pid];
+        while (queue.length > 0){
+            (children[queue.shift()] || []).forEach(child => {
+                pids.push(child);
+                queue.push(child);
+            });
+        }
+        cb(null, pids);
+    });
+};
+
+// Sends SIGSTOP to a process and its descendants. Processes can spawn
+// children while the tree is being stopped, so the tree is listed again
+// until no new processes are found.
+const stopProcessTree = (pid, cb) => {
+    const stopped = {};
+    const stop = p => {
+        stopped[p] = true;
+        try{
+            process.kill(p, 'SIGSTOP');
+        }catch(e){
+            // Already exited
+        }
+    };
+
+    stop(pid);
+    async.doWhilst(cb => {
+        listChildProcesses(pid, (err, pids) => {
+            if (err) return cb(err);
+            const found = pids.filter(p => !stopped[p]);
+            found.forEach(stop);
+            cb(null, found.length);
+        });
+    }, found => found > 0, err => cb(err));
+};
 
 module.exports = class Task{
-    constructor(uuid, name, options = [], webhook = null, skipPostProcessing = false, outputs = [], dateCreated = new Date().getTime(), imagesCountEstimate = -1){
+    constructor(uuid, name, options = [], webhook = null, skipPostProcessing = false, outputs = [], dateCreated = new Date().getTime(), imagesCountEstimate = -1, priority = 0, storage = null){
         assert(uuid !== undefined, "uuid must be set");
 
         this.uuid = uuid;
@@ -47,28 +195,69 @@ module.exports = class Task{
         this.dateCreated = isNaN(parseInt(dateCreated)) ? new Date().getTime() : parseInt(dateCreated);
         this.dateStarted = 0;
         this.processingTime = -1;
+        this.pausedAt = 0;
+        this.pausedTime = 0; // Milliseconds spent paused (excluded from the processing time)
+        this.onResume = []; // Processing steps waiting for the task to be resumed
+        this.terminated = false; // Processes were stopped because the node is shutting down
+        this.postProcessing = false; // ODM has completed, NodeODM is processing the results
         this.setStatus(statusCodes.RUNNING);
         this.options = options;
         this.gcpFiles = [];
         this.geoFiles = [];
         this.alignFiles = [];
         this.imageGroupsFiles = [];
-        this.output = [];
+        this.outputLineOffsets = []; // Byte offset of each line in the output file
+        this.outputSize = 0;
+        this.outputStream = null; // Opened when the first line is written
+        this.assetChecksums = {}; // asset name --> {size, mtime, sha256}
+        this.assetHashing = {}; // asset name --> callbacks waiting for its checksum
+        this.stages = []; // Processing stages: [{name, status, startedAt, finishedAt}]
+        this.rerunFrom = null; // ODM stage to restart processing from (keeping the outputs of previous stages)
+        this.filesChanged = false; // Images or GCP files were changed since the task was processed
         this.runningProcesses = [];
         this.webhook = webhook;
         this.skipPostProcessing = skipPostProcessing;
         this.outputs = utils.parseUnsafePathsList(outputs);
         this.progress = 0;
         this.imagesCountEstimate = imagesCountEstimate;
+        this.priority = isNaN(parseInt(priority)) ? 0 : parseInt(priority);
+        this.storage = storage; // Per-task storage destination (overrides the node's storage configuration)
         this.initialized = false;
         this.onInitialize = []; // Events to trigger on initialization
     }
 
     initialize(done, additionalSteps = []){
         async.series(additionalSteps.concat(this.setPostProcessingOptsSteps(), [
+            cb => this.refreshFileLists(cb)
+        ]), err => {
+            // Status might have changed due to user action
+            // in which case we leave it unchanged
+            if (this.getStatus() === statusCodes.RUNNING){
+                if (err) this.setStatus(statusCodes.FAILED, { errorMessage: err.message });
+                else this.setStatus(statusCodes.QUEUED);
+            }
+            this.initialized = true;
+            this.onInitialize.forEach(evt => evt(this));
+            this.onInitialize = [];
+            done(err, this);
+        });
+    }
+
+    // Reads the list of images and GCP (or geo, alignment, image groups)
+    // files from the images and gcp folders. The folders might be missing
+    // if the project folder was deleted after uploading the results.
+    refreshFileLists(done){
+        const readdir = (folder, cb) => {
+            fs.readdir(folder, (err, files) => {
+                if (err && err.code === 'ENOENT') cb(null, []);
+                else cb(err, files);
+            });
+        };
+
+        async.series([
             // Read images info
             cb => {
-                fs.readdir(this.getImagesFolderPath(), (err, files) => {
+                readdir(this.getImagesFolderPath(), (err, files) => {
                     if (err) cb(err);
                     else{
                         this.images = files;
@@ -80,9 +269,14 @@ module.exports = class Task{
 
             // Find GCP (if any)
             cb => {
-                fs.readdir(this.getGcpFolderPath(), (err, files) => {
+                readdir(this.getGcpFolderPath(), (err, files) => {
                     if (err) cb(err);
                     else{
+                        this.gcpFiles = [];
+                        this.geoFiles = [];
+                        this.alignFiles = [];
+                        this.imageGroupsFiles = [];
+
                         files.forEach(file => {
                             if (/^geo\.txt$/gi.test(file)){
                                 this.geoFiles.push(file);
@@ -104,17 +298,82 @@ module.exports = class Task{
                     }
                 });
             }
-        ]), err => {
-            // Status might have changed due to user action
-            // in which case we leave it unchanged
-            if (this.getStatus() === statusCodes.RUNNING){
-                if (err) this.setStatus(statusCodes.FAILED, { errorMessage: err.message });
-                else this.setStatus(statusCodes.QUEUED);
+        ], err => done(err));
+    }
+
+    // Whether images and GCP files can be added or removed
+    // (the task must not be queued or running)
+    canEditFiles(){
+        return this.initialized && [statusCodes.CANCELED, statusCodes.FAILED, statusCodes.COMPLETED].indexOf(this.status.code) !== -1;
+    }
+
+    // Moves uploaded files into the task. GCP (.txt) and alignment files go
+    // to the gcp folder, everything else to the images folder. Files with
+    // the same name as existing files replace them. Zip archives are extracted.
+    // @param srcPath {String} folder where the files were uploaded
+    addFiles(srcPath, cb){
+        if (!this.canEditFiles()) return cb(new Error("Files can only be changed when a task is canceled, has failed or has completed"));
+
+        const isGcpFile = file => /\.txt$/i.test(file) || /^align\.(las|laz|tif)$/i.test(file);
+        const readdir = cb => {
+            fs.readdir(srcPath, (err, files) => {
+                if (err && err.code === 'ENOENT') cb(null, []); // Nothing was uploaded
+                else cb(err, files);
+            });
+        };
+
+        async.waterfall([
+            readdir,
+            (files, cb) => {
+                async.eachSeries(files.filter(f => /\.zip$/i.test(f)), (file, cb) => {
+                    const archive = path.join(srcPath, file);
+                    ziputils.unzip(archive, srcPath, err => {
+                        if (err) cb(new Error(`Cannot extract ${file}: ${err.message}`));
+                        else fs.unlink(archive, cb);
+                    }, true);
+                }, err => cb(err));
+            },
+            readdir,
+            (files, cb) => {
+                if (files.length === 0) return cb(new Error("No files were uploaded"));
+
+                const images = files.filter(f => !isGcpFile(f));
+                const count = this.images.concat(images.filter(f => this.images.indexOf(f) === -1)).length;
+                if (config.maxImages && count > config.maxImages) cb(new Error(`The task would have ${count} images, but this node can only process up to ${config.maxImages}.`));
+                else cb(null, files);
+            },
+            (files, cb) => {
+                async.eachSeries(files, (file, cb) => {
+                    const dst = isGcpFile(file) ? this.getGcpFolderPath() : this.getImagesFolderPath();
+                    mv(path.join(srcPath, file), path.join(dst, file), cb);
+                }, cb);
+            },
+            cb => {
+                this.filesChanged = true;
+                this.refreshFileLists(cb);
             }
-            this.initialized = true;
-            this.onInitialize.forEach(evt => evt(this));
-            this.onInitialize = [];
-            done(err, this);
+        ], err => cb(err));
+    }
+
+    // Removes images or GCP files from the task
+    // @param files {Array} names of the files
+    removeFiles(files, cb){
+        if (!this.canEditFiles()) return cb(new Error("Files can only be changed when a task is canceled, has failed or has completed"));
+
+        const gcpFiles = this.gcpFiles.concat(this.geoFiles, this.alignFiles, this.imageGroupsFiles);
+        const paths = [];
+        for (let file of files){
+            if (this.images.indexOf(file) !== -1) paths.push(path.join(this.getImagesFolderPath(), file));
+            else if (gcpFiles.indexOf(file) !== -1) paths.push(path.join(this.getGcpFolderPath(), file));
+            else return cb(new Error(`File not found: ${file}`));
+        }
+
+        if (this.images.every(image => files.indexOf(image) !== -1)) return cb(new Error("Cannot remove all images of a task"));
+
+        async.eachSeries(paths, fs.unlink, err => {
+            // Some files might have been removed even on error
+            this.filesChanged = true;
+            this.refreshFileLists(refreshErr => cb(err || refreshErr));
         });
     }
 
@@ -149,6 +408,13 @@ module.exports = class Task{
     }
 
     static CreateFromSerialized(taskJson, done){
+        // The task's events were published when they happened
+        taskEvents.mute(taskJson.uuid);
+        const callback = (err, task) => {
+            taskEvents.mute(taskJson.uuid, false);
+            done(err, task);
+        };
+
         const task = new Task(taskJson.uuid,
             taskJson.name,
             taskJson.options,
@@ -158,7 +424,7 @@ module.exports = class Task{
             taskJson.dateCreated);
 
         task.initialize((err, task) => {
-            if (err) done(err);
+            if (err) callback(err);
             else{
                 // Override default values with those
                 // provided in the taskJson
@@ -166,15 +432,40 @@ module.exports = class Task{
                     task[k] = taskJson[k];
                 }
 
-                // Tasks that were running should be put back to QUEUED state
-                if (task.status.code === statusCodes.RUNNING){
+                // Tasks that were running (or paused) should be put back to QUEUED state
+                if (task.status.code === statusCodes.RUNNING || task.status.code === statusCodes.PAUSED){
                     task.status.code = statusCodes.QUEUED;
+                    task.progress = 0;
+                    task.processingTime = -1;
+                    task.endRunningStages("canceled");
                 }
-                done(null, task);
+
+                // Restore the console output of the previous run
+                task.loadOutput(err => {
+                    if (err) logger.warn(`Cannot read output of ${task.uuid}: ${err.message}`);
+                    callback(null, task);
+                });
             }
         });
     }
 
+    // Returns the description of a serialized task (see getInfo),
+    // without restoring it
+    static InfoFromSerialized(taskJson){
+        return {
+            uuid: taskJson.uuid,
+            name: taskJson.name,
+            dateCreated: taskJson.dateCreated,
+            processingTime: taskJson.processingTime !== undefined ? taskJson.processingTime : -1,
+            status: taskJson.status,
+            options: taskJson.options,
+            imagesCount: taskJson.imagesCountEstimate !== undefined ? taskJson.imagesCountEstimate : -1,
+            progress: taskJson.progress || 0,
+            priority: taskJson.priority || 0,
+            stages: taskJson.stages || []
+        };
+    }
+
     // Get path where images are stored for this task
     // (relative to nodejs process CWD)
     getImagesFolderPath(){
@@ -193,20 +484,126 @@ module.exports = class Task{
         return path.join(Directories.data, this.uuid);
     }
 
-    // Get the path of the archive where all assets
-    // outputted by this task are stored.
+    // Get path of the file where the console output is stored
+    getOutputFilePath(){
+        return path.join(this.getProjectFolderPath(), 'task_output.txt');
+    }
+
+    // Task name sanitized for use as folder name and title
+    // (special characters removed, spaces replaced), or the UUID if the name is empty
+    getSanitizedName(){
+        const sanitized = (this.name || "")
+            .replace(/[^a-zA-Z0-9_\-\s]/g, '')
+            .replace(/\s+/g, '_')
+            .substring(0, 100);
+        return sanitized || this.uuid;
+    }
+
+    // Get path where the outputs of ODM are stored
+    // (in test mode, these are the sample results)
+    getResultsFolderPath(){
+        return !config.test ?
+               this.getProjectFolderPath() :
+               path.join("tests", "processing_results");
+    }
+
+    // Get the path of an asset outputted by this task: either the
+    // archive where all assets are stored (all.zip) or one of the
+    // assets that can be downloaded individually.
     getAssetsArchivePath(filename){
         if (filename == 'all.zip'){
-            // OK, do nothing
+            return path.join(this.getProjectFolderPath(), filename);
+        }else if (ASSETS.hasOwnProperty(filename)){
+            return path.join(this.getResultsFolderPath(), ASSETS[filename]);
         }else{
             return false; // Invalid
         }
+    }
+
+    // Lists the assets of this task that are available for download
+    // (checksums are computed when the task completes)
+    // @param cb {Function} callback(err, [{name, size, mimeType, sha256}], updated)
+    //                      where updated is true if some checksums had to be computed
+    getAssets(cb){
+        const names = ['all.zip'].concat(Object.keys(ASSETS));
+        let updated = false;
+
+        async.mapSeries(names, (name, cb) => {
+            const filePath = this.getAssetsArchivePath(name);
+            fs.stat(filePath, (err, stats) => {
+                if (err || !stats.isFile()) return cb(null, null);
+
+                this.getAssetChecksum(name, filePath, stats, (err, sha256, computed) => {
+                    if (computed) updated = true;
+                    if (err) cb(err);
+                    else cb(null, {
+                        name,
+                        size: stats.size,
+                        mimeType: mime.getType(filePath) || 'application/octet-stream',
+                        sha256
+                    });
+                });
+            });
+        }, (err, assets) => {
+            if (err) cb(err);
+            else cb(null, assets.filter(a => a !== null), updated);
+        });
+    }
+
+    // Computes the SHA-256 checksum of an asset. Checksums are cached
+    // until the size or modification time of the file changes, and
+    // files are hashed only once when requested concurrently.
+    // @param cb {Function} callback(err, sha256, computed)
+    getAssetChecksum(name, filePath, stats, cb){
+        const cached = this.assetChecksums[name];
+        if (cached && cached.size === stats.size && cached.mtime === stats.mtimeMs){
+            return cb(null, cached.sha256, false);
+        }
+
+        if (this.assetHashing[name]) return this.assetHashing[name].push(cb);
+        this.assetHashing[name] = [cb];
+
+        const done = (err, sha256) => {
+            const callbacks = this.assetHashing[name];
+            delete(this.assetHashing[name]);
+            callbacks.forEach(cb => cb(err, sha256, !err));
+        };
+
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', done)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => {
+                const sha256 = hash.digest('hex');
+                this.assetChecksums[name] = { size: stats.size, mtime: stats.mtimeMs, sha256 };
+                done(null, sha256);
+            });
+    }
+
+    // Creates a zip archive of some of the outputs of this task,
+    // to be streamed without writing it to disk
+    // @param paths {Array} sanitized paths (see utils.parseUnsafePathsList)
+    //                      relative to the results folder
+    // @param cb {Function} callback(err, archive) where archive is a readable stream
+    createZipStream(paths, cb){
+        const archive = archiver.create('zip', {
+            zlib: { level: 1 } // Most assets are already compressed
+        });
 
-        return path.join(this.getProjectFolderPath(), filename);
+        addPathsToArchive(archive, this.getResultsFolderPath(), paths, (err, count) => {
+            if (err) cb(err);
+            else if (count === 0) cb(new Error("None of the requested paths are available"));
+            else{
+                cb(null, archive);
+                archive.finalize();
+            }
+        });
     }
 
     // Deletes files and folders related to this task
     cleanup(cb){
+        this.closeOutput();
+        tiles.close(this.getResultsFolderPath());
         if (this.initialized) rmdir(this.getProjectFolderPath(), cb);
         else this.onInitialize.push(() => {
             rmdir(this.getProjectFolderPath(), cb);
@@ -220,6 +617,7 @@ module.exports = class Task{
         for (let k in extra){
             this.status[k] = extra[k];
         }
+        taskEvents.publish(this.uuid, 'status', { status: this.status });
     }
 
     updateProgress(globalProgress){
@@ -228,15 +626,152 @@ module.exports = class Task{
         // Progress updates are asynchronous (via UDP)
         // so things could be out of order. We ignore all progress
         // updates that are lower than what we might have previously received.
-        if (globalProgress >= this.progress){
+        if (globalProgress > this.progress){
             this.progress = globalProgress;
+            taskEvents.publish(this.uuid, 'progress', { progress: this.progress });
         }
     }
 
+    // Appends one (or more, if separated by newlines) lines to the console output
+    pushOutput(output){
+        String(output).replace(/\r?\n$/, "").split(/\r?\n/).forEach(line => {
+            const data = Buffer.from(line + "\n", 'utf8');
+
+            if (!this.outputStream) this.openOutput('a');
+            this.outputStream.write(data);
+            this.outputLineOffsets.push(this.outputSize);
+            this.outputSize += data.length;
+
+            this.trackStage(line);
+            taskEvents.publish(this.uuid, 'output', { line });
+        });
+    }
+
+    // Records when ODM stages start and finish, from
+    // the "Running <stage> stage" and "Finished <stage> stage" lines
+    trackStage(line){
+        const match = line.match(/(Running|Finished) (\w+) stage$/);
+        if (!match) return;
+
+        if (match[1] === "Running") this.startStage(match[2]);
+        else this.endStage(match[2], "completed");
+    }
+
+    // Marks a stage as running (a stage that runs
+    // again, for example after a restart, is replaced)
+    startStage(name){
+        const stage = {
+            name,
+            status: "running",
+            startedAt: new Date().getTime(),
+            finishedAt: null
+        };
+
+        const i = this.stages.findIndex(s => s.name === name);
+        if (i !== -1) this.stages[i] = stage;
+        else this.stages.push(stage);
+
+        taskEvents.publish(this.uuid, 'stages', { stages: this.stages });
+    }
+
+    // Marks a running stage as ended
+    // @param status {String} completed, failed or canceled
+    endStage(name, status){
+        const stage = this.stages.find(s => s.name === name && s.status === "running");
+        if (!stage) return;
+
+        stage.status = status;
+        stage.finishedAt = new Date().getTime();
+        taskEvents.publish(this.uuid, 'stages', { stages: this.stages });
+    }
+
+    // Ends all stages that are still running (when
+    // processing fails or is interrupted)
+    endRunningStages(status){
+        this.stages.filter(s => s.status === "running")
+                   .forEach(s => this.endStage(s.name, status));
+    }
+
+    // Wraps a step of the processing so that it's recorded as a stage
+    // @param step {Function} (done) => {}
+    inStage(name, step){
+        return done => {
+            this.startStage(name);
+            step(err => {
+                this.endStage(name, err ? "failed" : "completed");
+                done(err);
+            });
+        };
+    }
+
+    // Builds the index of line offsets from the output file
+    loadOutput(cb){
+        this.outputLineOffsets = [];
+        this.outputSize = 0;
+
+        const file = this.getOutputFilePath();
+        if (!fs.existsSync(file)) return cb();
+
+        let lastByte = null;
+        fs.createReadStream(file)
+            .on('data', chunk => {
+                for (let i = 0; i < chunk.length; i++){
+                    if (lastByte === null || lastByte === 0x0a) this.outputLineOffsets.push(this.outputSize + i);
+                    lastByte = chunk[i];
+                }
+                this.outputSize += chunk.length;
+            })
+            .on('error', cb)
+            .on('end', () => {
+                // Terminate a partially written last line
+                if (lastByte !== null && lastByte !== 0x0a){
+                    try{
+                        fs.appendFileSync(file, "\n");
+                        this.outputSize += 1;
+                    }catch(e){
+                        return cb(e);
+                    }
+                }
+                cb();
+            });
+    }
+
+    // Clears the console output
+    resetOutput(){
+        this.outputLineOffsets = [];
+        this.outputSize = 0;
+
+        this.closeOutput();
+        this.openOutput('w');
+    }
+
+    // Opens the stream where lines of the console output are written
+    // @param flags {String} 'a' to append to the output file, 'w' to truncate it
+    openOutput(flags){
+        const stream = fs.createWriteStream(this.getOutputFilePath(), { flags });
+        stream.on('error', err => {
+            logger.warn(`Cannot write output of ${this.uuid}: ${err.message}`);
+            if (this.outputStream === stream) this.outputStream = null;
+        });
+        this.outputStream = stream;
+    }
+
+    // Closes the output stream (lines that are still buffered are written first)
+    // @param cb {Function} called once the buffered lines have been written
+    closeOutput(cb = () => {}){
+        if (this.outputStream){
+            const stream = this.outputStream;
+            this.outputStream = null;
+            stream.end(() => cb());
+        }else cb();
+    }
+
     updateProcessingTime(resetTime){
+        const now = new Date().getTime();
+        const pausedTime = this.pausedTime + (this.pausedAt ? now - this.pausedAt : 0);
         this.processingTime = (resetTime || this.dateStarted === 0) ?
                                 -1		:
-                                new Date().getTime() - this.dateStarted;
+                                now - this.dateStarted - pausedTime;
     }
 
     startTrackingProcessingTime(){
@@ -268,10 +803,112 @@ module.exports = class Task{
         return this.status.code === statusCodes.RUNNING;
     }
 
+    isPaused(){
+        return this.status.code === statusCodes.PAUSED;
+    }
+
+    // Processes (started by this task) that have not exited
+    getActiveProcesses(){
+        // During testing, proc is undefined
+        return this.runningProcesses.filter(proc => proc && proc.exitCode === null && proc.signalCode === null);
+    }
+
+    // Suspends a running task. Processes are stopped (SIGSTOP) right away,
+    // post processing steps pause once the current step has finished.
+    pause(cb){
+        if (this.status.code !== statusCodes.RUNNING) return cb(new Error("Only running tasks can be paused"));
+
+        // Processes cannot be suspended on Windows (they would be killed)
+        if (os.platform() === "win32") return cb(new Error("Pausing tasks is not supported on Windows"));
+
+        this.setStatus(statusCodes.PAUSED);
+        this.pausedAt = new Date().getTime();
+        this.stopTrackingProcessingTime();
+        async.each(this.getActiveProcesses(), (proc, cb) => {
+            stopProcessTree(proc.pid, err => {
+                if (err) logger.warn(`Cannot pause process ${proc.pid} of ${this.uuid}: ${err.message}`);
+                cb();
+            });
+        }, () => cb(null));
+    }
+
+    // Continues processing a paused task
+    resume(cb){
+        if (this.status.code !== statusCodes.PAUSED) return cb(new Error("Only paused tasks can be resumed"));
+
+        this.setStatus(statusCodes.RUNNING);
+        this.pausedTime += new Date().getTime() - this.pausedAt;
+        this.pausedAt = 0;
+        this.startTrackingProcessingTime();
+        async.each(this.getActiveProcesses(), (proc, cb) => kill(proc.pid, 'SIGCONT', () => cb()), () => {
+            const waiting = this.onResume;
+            this.onResume = [];
+            waiting.forEach(resume => resume());
+            cb(null);
+        });
+    }
+
+    // Wraps a processing step so that it waits for the task
+    // to be resumed (if paused) before running
+    // @param step {Function} (done) => {}
+    unlessPaused(step){
+        return done => {
+            if (this.terminated) return; // The node is shutting down
+            else if (this.isPaused()) this.onResume.push(() => this.unlessPaused(step)(done));
+            else if (this.isCanceled()) done(new Error("Task was canceled"));
+            else step(done);
+        };
+    }
+
+    // Stops the processes of a running (or paused) task when the node
+    // shuts down. The status of the task is left unchanged, so that it's
+    // processed again after a restart, from the ODM stage that was running
+    // (or from post-processing, if ODM had completed).
+    terminate(cb){
+        if (!this.isRunning() && !this.isPaused()) return cb();
+
+        const wasPaused = this.isPaused();
+        this.terminated = true;
+        this.stopTrackingProcessingTime();
+
+        if (this.postProcessing){
+            this.rerunFrom = POST_PROCESSING_STAGES[0];
+            this.pushOutput("Processing was interrupted, it will resume from post-processing");
+        }else{
+            const odmStages = this.stages.filter(s => POST_PROCESSING_STAGES.indexOf(s.name) === -1);
+            const stage = odmStages.find(s => s.status === "running") ||
+                          odmStages.filter(s => s.status === "completed").pop();
+            if (stage){
+                this.rerunFrom = stage.name;
+                this.pushOutput(`Processing was interrupted, it will resume from the ${stage.name} stage`);
+            }
+        }
+
+        async.each(this.getActiveProcesses(), (proc, cb) => {
+            kill(proc.pid, 'SIGTERM', () => {
+                // Stopped processes only handle the signal once continued
+                if (wasPaused) kill(proc.pid, 'SIGCONT', () => cb());
+                else cb();
+            });
+        }, () => this.closeOutput(cb));
+    }
+
+    // Changes the priority of the task. Only tasks that are waiting
+    // to be processed (or are still being initialized) can be changed.
+    setPriority(priority, cb){
+        if (!this.initialized || this.status.code === statusCodes.QUEUED){
+            this.priority = priority;
+            cb(null);
+        }else{
+            cb(new Error("Priority can only be changed while a task is queued"));
+        }
+    }
+
     // Cancels the current task (unless it's already canceled)
     cancel(cb){
         if (this.status.code !== statusCodes.CANCELED){
-            let wasRunning = this.status.code === statusCodes.RUNNING;
+            let wasPaused = this.status.code === statusCodes.PAUSED;
+            let wasRunning = this.status.code === statusCodes.RUNNING || wasPaused;
             this.setStatus(statusCodes.CANCELED);
 
             if (wasRunning){
@@ -282,11 +919,21 @@ module.exports = class Task{
                     // This might need to be fixed on ODM's end.
 
                     // During testing, proc is undefined
-                    if (proc) kill(proc.pid);
+                    if (proc){
+                        // Stopped processes only handle the signal once continued
+                        if (wasPaused) kill(proc.pid, 'SIGTERM', () => kill(proc.pid, 'SIGCONT'));
+                        else kill(proc.pid);
+                    }
                 });
                 this.runningProcesses = [];
             }
 
+            // Steps waiting for the task to be resumed will not run
+            const waiting = this.onResume;
+            this.onResume = [];
+            waiting.forEach(resume => resume());
+
+            this.endRunningStages("canceled");
             this.stopTrackingProcessingTime(true);
             cb(null);
         }else{
@@ -298,20 +945,23 @@ module.exports = class Task{
     // This will spawn a new process.
     start(done){
         const finished = err => {
+            // Stages are left running only if processing failed
+            this.endRunningStages(this.status.code === statusCodes.CANCELED ? "canceled" : "failed");
             this.updateProgress(100);
             this.stopTrackingProcessingTime();
+            this.closeOutput();
             done(err);
         };
 
         const postProcess = () => {
+            this.postProcessing = true;
+
             const createZipArchive = (outputFilename, files) => {
                 return (done) => {
-                    this.output.push(`Compressing ${outputFilename}\n`);
+                    this.pushOutput(`Compressing ${outputFilename}\n`);
 
                     const zipFile = path.resolve(this.getAssetsArchivePath(outputFilename));
-                    const sourcePath = !config.test ?
-                                        this.getProjectFolderPath() :
-                                        path.join("tests", "processing_results");
+                    const sourcePath = this.getResultsFolderPath();
 
                     const pathsToArchive = [];
                     files.forEach(f => {
@@ -340,7 +990,7 @@ module.exports = class Task{
 
             const createZipArchiveLegacy = (outputFilename, files) => {
                 return (done) => {
-                    this.output.push(`Compressing ${outputFilename}\n`);
+                    this.pushOutput(`Compressing ${outputFilename}\n`);
 
                     let output = fs.createWriteStream(this.getAssetsArchivePath(outputFilename));
                     let archive = archiver.create('zip', {
@@ -359,56 +1009,11 @@ module.exports = class Task{
                     });
 
                     archive.pipe(output);
-                    let globs = [];
-
-                    const sourcePath = !config.test ?
-                                        this.getProjectFolderPath() :
-                                        path.join("tests", "processing_results");
-
-                    // Process files and directories first
-                    files.forEach(file => {
-                        let filePath = path.join(sourcePath, file);
 
-                        // Skip non-existing items
-                        if (!fs.existsSync(filePath)) return;
-
-                        let isGlob = /\*/.test(file),
-                            isDirectory = !isGlob && fs.lstatSync(filePath).isDirectory();
-
-                        if (isDirectory){
-                            archive.directory(filePath, file);
-                        }else if (isGlob){
-                            globs.push(filePath);
-                        }else{
-                            archive.file(filePath, {name: file});
-                        }
+                    addPathsToArchive(archive, this.getResultsFolderPath(), files, err => {
+                        if (err) done(err);
+                        else archive.finalize();
                     });
-
-                    // Check for globs
-                    if (globs.length !== 0){
-                        let pending = globs.length;
-
-                        globs.forEach(pattern => {
-                            glob(pattern, (err, files) => {
-                                if (err) done(err);
-                                else{
-                                    files.forEach(file => {
-                                        if (fs.lstatSync(file).isFile()){
-                                            archive.file(file, {name: path.basename(file)});
-                                        }else{
-                                            logger.debug(`Could not add ${file} from glob`);
-                                        }
-                                    });
-
-                                    if (--pending === 0){
-                                        archive.finalize();
-                                    }
-                                }
-                            });
-                        });
-                    }else{
-                        archive.finalize();
-                    }
                 };
             };
 
@@ -426,20 +1031,73 @@ module.exports = class Task{
                                 }else done(new Error(`Postprocessing failed (${code})`));
                             }
                         }, output => {
-                            this.output.push(output);
+                            this.pushOutput(output);
                         })
                     );
                 };
             };
 
-            const saveTaskOutput = (destination) => {
+            const uploadToStorage = (backend, bucket, uploadPaths, prefix) => {
                 return (done) => {
-                    fs.writeFile(destination, this.output.join("\n"), err => {
-                        if (err) logger.info(`Cannot write log at ${destination}, skipping...`);
-                        done();
+                    const destination = backend.getDestinationFolder(this, prefix);
+
+                    this.pushOutput(`Starting ${backend.name} upload for paths: ${uploadPaths.join(', ')}`);
+                    this.pushOutput(`Destination: ${backend.getUrl(bucket, destination)}/`);
+
+                    backend.uploadPaths(this.getProjectFolderPath(), bucket, destination, uploadPaths,
+                        err => {
+                            if (err){
+                                this.pushOutput(`${backend.name} upload failed: ${err.message}`);
+                            }else{
+                                this.pushOutput(`Done uploading to ${backend.name}!`);
+                            }
+                            done(err);
+                        }, output => this.pushOutput(output));
+                };
+            };
+
+            // Deletes the entire project folder, but preserves all.zip
+            // so users can still download it, as well as the console output
+            const cleanupProjectFolder = () => {
+                return (done) => {
+                    const projectFolder = this.getProjectFolderPath();
+                    // The MBTiles file is kept so that tiles can still be served
+                    const preserved = ['all.zip', 'odm_orthophoto/odm_orthophoto.mbtiles', 'task_output.txt'].map(file => {
+                        return {
+                            path: path.join(projectFolder, file),
+
+                            // Temporarily moved outside the folder before deletion
+                            tempPath: path.join(path.dirname(projectFolder), `${path.basename(projectFolder)}_${file.replace(/\//g, '_')}`)
+                        };
+                    });
+
+                    // Move the console output last, so that no lines are lost
+                    this.pushOutput(`Preserving ${preserved.map(p => path.basename(p.path)).join(", ")} outside project folder`);
+                    this.pushOutput(`Deleting project folder: ${projectFolder}`);
+                    preserved.forEach(p => {
+                        if (fs.existsSync(p.path)) fs.renameSync(p.path, p.tempPath);
+                    });
+
+                    rmdir(projectFolder, cleanupErr => {
+                        // Move the files back into the (now empty) project folder
+                        fs.mkdirSync(projectFolder, { recursive: true });
+                        preserved.forEach(p => {
+                            if (fs.existsSync(p.tempPath)){
+                                fs.mkdirSync(path.dirname(p.path), { recursive: true });
+                                fs.renameSync(p.tempPath, p.path);
+                            }
+                        });
+
+                        if (cleanupErr) {
+                            this.pushOutput(`Warning: Cleanup failed: ${cleanupErr.message}`);
+                        } else {
+                            this.pushOutput(`Deleted project folder: ${projectFolder}`);
+                        }
+
+                        done(); // Don't fail task on cleanup error
                     });
                 };
-            }
+            };
 
             // All paths are relative to the project directory (./data/<uuid>/)
             // Only include orthophoto tiles and the main GeoTIFF in all.zip
@@ -489,44 +1147,18 @@ module.exports = class Task{
             // We're leaving it here only for Linux/docker setups, but will not
             // be triggered on Windows.
             if (os.platform() !== "win32" && !this.skipPostProcessing){
-                tasks.push(runPostProcessingScript());
+                tasks.push(this.inStage("postprocess", runPostProcessingScript()));
             }
 
-            const taskOutputFile = path.join(this.getProjectFolderPath(), 'task_output.txt');
-            tasks.push(saveTaskOutput(taskOutputFile));
-
             const archiveFunc = config.has7z ? createZipArchive : createZipArchiveLegacy;
-            tasks.push(archiveFunc('all.zip', allPaths));
-
-            // Upload to S3 all paths + all.zip file (if config says so)
-            if (S3.enabled()){
-                tasks.push((done) => {
-                    let s3Paths;
-                    if (config.s3UploadEverything){
-                        s3Paths = ['all.zip'].concat(allPaths);
-                    }else{
-                        s3Paths = ['all.zip'];
-                    }
-
-                    S3.uploadPaths(this.getProjectFolderPath(), config.s3Bucket, this.uuid, s3Paths,
-                        err => {
-                            if (!err) this.output.push("Done uploading to S3!");
-                            done(err);
-                        }, output => this.output.push(output));
-                });
-            }
-
-            // Sanitize task name for use as folder name and title (remove special chars, replace spaces)
-            const sanitizedName = this.name
-                .replace(/[^a-zA-Z0-9_\-\s]/g, '')  // Remove special characters
-                .replace(/\s+/g, '_')               // Replace spaces with underscores
-                .substring(0, 100)                  // Limit length
-                || this.uuid;                       // Fallback to UUID if name is empty
+            tasks.push(this.inStage("zip", archiveFunc('all.zip', allPaths)));
 
             // Update tilemapresource.xml Title to use project name instead of default
             const tilemapPath = path.join(this.getProjectFolderPath(), 'orthophoto_tiles', 'tilemapresource.xml');
             if (fs.existsSync(tilemapPath)) {
                 tasks.push((done) => {
+                    const sanitizedName = this.getSanitizedName();
+
                     try {
                         let xmlContent = fs.readFileSync(tilemapPath, 'utf8');
                         const originalTitle = xmlContent.match(/<Title>([^<]*)<\/Title>/);
@@ -537,91 +1169,64 @@ module.exports = class Task{
                                 `<Title>${sanitizedName}</Title>`
                             );
                             fs.writeFileSync(tilemapPath, xmlContent, 'utf8');
-                            this.output.push(`Updated tilemapresource.xml Title: "${originalTitle[1]}" → "${sanitizedName}"`);
+                            this.pushOutput(`Updated tilemapresource.xml Title: "${originalTitle[1]}" → "${sanitizedName}"`);
                         }
                         done();
                     } catch (err) {
-                        this.output.push(`Warning: Failed to update tilemapresource.xml: ${err.message}`);
+                        this.pushOutput(`Warning: Failed to update tilemapresource.xml: ${err.message}`);
                         done(); // Don't fail task on this error
                     }
                 });
             }
 
-            // Upload to GCS (Google Cloud Storage) - specific paths only
-            if (GCS.enabled()){
-                const gcsUploadPaths = config.gcsUploadPaths
-                    .split(',')
-                    .map(p => p.trim())
-                    .filter(p => p.length > 0);
-
-                // Build destination path with optional prefix
-                const gcsDestPath = config.gcsUploadPrefix 
-                    ? path.join(config.gcsUploadPrefix, sanitizedName)
-                    : sanitizedName;
+            // Checksums of the assets (see getAssets), computed before
+            // the project folder is (possibly) cleaned up
+            tasks.push(done => {
+                this.pushOutput("Computing checksums of assets");
+                this.getAssets(err => {
+                    if (err) this.pushOutput(`Warning: Cannot compute checksums: ${err.message}`);
+                    done(); // Don't fail task on this error
+                });
+            });
 
-                tasks.push((done) => {
-                    this.output.push(`Starting GCS upload for paths: ${gcsUploadPaths.join(', ')}`);
-                    this.output.push(`Destination: gs://${config.gcsBucket}/${gcsDestPath}/`);
-                    
-                    GCS.uploadPaths(
-                        this.getProjectFolderPath(),
-                        config.gcsBucket,
-                        gcsDestPath,
-                        gcsUploadPaths,
-                        err => {
-                            if (err) {
-                                this.output.push(`GCS upload failed: ${err.message}`);
-                                done(err);
-                            } else {
-                                this.output.push("Done uploading to GCS!");
-                                
-                                // Cleanup entire project folder after successful upload if configured
-                                // BUT preserve all.zip so users can still download it
-                                this.output.push(`Cleanup after upload setting: ${config.gcsCleanupAfterUpload}`);
-                                if (config.gcsCleanupAfterUpload) {
-                                    const projectFolder = this.getProjectFolderPath();
-                                    const allZipPath = path.join(projectFolder, 'all.zip');
-                                    
-                                    // Temporarily move all.zip outside the folder before deletion
-                                    const tempZipPath = path.join(path.dirname(projectFolder), `${path.basename(projectFolder)}_all.zip`);
-                                    
-                                    // Move all.zip to temp location if it exists
-                                    if (fs.existsSync(allZipPath)) {
-                                        fs.renameSync(allZipPath, tempZipPath);
-                                        this.output.push(`Preserved all.zip outside project folder`);
-                                    }
-                                    
-                                    this.output.push(`Deleting project folder: ${projectFolder}`);
-                                    
-                                    rmdir(projectFolder, cleanupErr => {
-                                        if (cleanupErr) {
-                                            this.output.push(`Warning: Cleanup failed: ${cleanupErr.message}`);
-                                        } else {
-                                            this.output.push(`Deleted project folder: ${projectFolder}`);
-                                        }
-                                        
-                                        // Move all.zip back into the (now empty) project folder
-                                        if (fs.existsSync(tempZipPath)) {
-                                            // Recreate the project folder
-                                            fs.mkdirSync(projectFolder, { recursive: true });
-                                            fs.renameSync(tempZipPath, allZipPath);
-                                            this.output.push(`Restored all.zip to project folder for download`);
-                                        }
-                                        
-                                        done(); // Don't fail task on cleanup error
-                                    });
-                                } else {
-                                    done();
-                                }
-                            }
-                        },
-                        output => this.output.push(output)
-                    );
+            let cleanupAfterUpload = false;
+            const uploads = [];
+
+            if (this.storage){
+                // Upload results to the destination requested for this task
+                const backend = storageFactory.get(this.storage.backend);
+                if (backend){
+                    uploads.push(uploadToStorage(backend, this.storage.bucket,
+                        this.storage.paths || backend.getUploadPaths(allPaths),
+                        this.storage.prefix));
+                    cleanupAfterUpload = this.storage.cleanup !== undefined ? this.storage.cleanup : backend.cleanupAfterUpload;
+                }else{
+                    uploads.push(done => done(new Error(`Storage backend ${this.storage.backend} is not enabled`)));
+                }
+            }else{
+                // Upload results to the configured storage backends (if any)
+                const backends = storageFactory.enabled();
+                backends.forEach(backend => {
+                    uploads.push(uploadToStorage(backend, backend.bucket, backend.getUploadPaths(allPaths)));
                 });
+                cleanupAfterUpload = backends.some(backend => backend.cleanupAfterUpload);
+            }
+
+            if (uploads.length > 0){
+                tasks.push(this.inStage("upload", done => async.series(uploads, err => done(err))));
+            }
+
+            // Cleanup the project folder after successful uploads if configured
+            if (cleanupAfterUpload){
+                tasks.push(cleanupProjectFolder());
             }
 
-            async.series(tasks, (err) => {
-                if (!err){
+            async.series(tasks.map(task => this.unlessPaused(task)), (err) => {
+                if (this.terminated){
+                    return; // The node is shutting down
+                }else if (this.isCanceled()){
+                    finished();
+                }else if (!err){
                     this.setStatus(statusCodes.COMPLETED);
                     finished();
                 }else{
@@ -632,10 +1237,25 @@ module.exports = class Task{
         };
 
         if (this.status.code === statusCodes.QUEUED){
+            // The tiles served so far will be regenerated
+            tiles.close(this.getResultsFolderPath());
+
+            this.pausedAt = 0;
+            this.pausedTime = 0;
+            this.postProcessing = false;
             this.startTrackingProcessingTime();
             this.dateStarted = new Date().getTime();
             this.setStatus(statusCodes.RUNNING);
 
+            // ODM had completed when the node was shut down
+            if (POST_PROCESSING_STAGES.indexOf(this.rerunFrom) !== -1){
+                this.rerunFrom = null;
+                this.pushOutput("Resuming post-processing");
+                this.updateProgress(90);
+                postProcess();
+                return true;
+            }
+
             let runnerOptions = this.options.reduce((result, opt) => {
                 result[opt.name] = opt.value;
                 return result;
@@ -643,6 +1263,14 @@ module.exports = class Task{
 
             runnerOptions["project-path"] = fs.realpathSync(Directories.data);
 
+            if (this.rerunFrom){
+                runnerOptions["rerun-from"] = this.rerunFrom;
+            }else if (this.filesChanged){
+                // The outputs of a previous run do not match the files anymore
+                runnerOptions["rerun-from"] = "dataset";
+            }
+            this.filesChanged = false;
+
             if (this.gcpFiles.length > 0){
                 runnerOptions.gcp = fs.realpathSync(path.join(this.getGcpFolderPath(), this.gcpFiles[0]));
             }
@@ -657,6 +1285,8 @@ module.exports = class Task{
             }
 
             this.runningProcesses.push(odmRunner.run(runnerOptions, this.uuid, (err, code, signal) => {
+                    if (this.terminated) return; // The node is shutting down
+
                     if (err){
                         this.setStatus(statusCodes.FAILED, {errorMessage: `Could not start process (${err.message})`});
                         finished(err);
@@ -699,7 +1329,7 @@ module.exports = class Task{
 
                     // Split lines and trim
                     output.trim().split('\n').forEach(line => {
-                        this.output.push(line.trim());
+                        this.pushOutput(line.trim());
                     });
                 })
             );
@@ -713,7 +1343,9 @@ module.exports = class Task{
     // Re-executes the task (by setting it's state back to QUEUED)
     // Only tasks that have been canceled, completed or have failed can be restarted.
     // unless they are being initialized, in which case we switch them back to running
-    restart(options, cb){
+    // @param rerunFrom {String} ODM stage to restart from, keeping the outputs (and console output)
+    //                           of the previous stages, or null to rerun the entire pipeline
+    restart(options, rerunFrom, cb){
         if (!this.initialized && this.status.code === statusCodes.CANCELED){
             this.setStatus(statusCodes.RUNNING);
             if (options !== undefined){
@@ -726,7 +1358,19 @@ module.exports = class Task{
             this.setStatus(statusCodes.QUEUED);
             this.dateCreated = new Date().getTime();
             this.dateStarted = 0;
-            this.output = [];
+
+            // Files have changed, all stages must run again
+            this.rerunFrom = !this.filesChanged && rerunFrom ? rerunFrom : null;
+            if (this.rerunFrom){
+                // Keep the stages that completed before the one we rerun from
+                const idx = this.stages.findIndex(s => s.name === this.rerunFrom);
+                this.stages = this.stages.slice(0, idx !== -1 ? idx : this.stages.length)
+                                         .filter(s => s.status === "completed");
+                this.pushOutput(`Restarting from ${this.rerunFrom} stage`);
+            }else{
+                this.resetOutput();
+                this.stages = [];
+            }
             this.progress = 0;
             this.stopTrackingProcessingTime(true);
             if (options !== undefined){
@@ -750,22 +1394,54 @@ module.exports = class Task{
             status: this.status,
             options: this.options,
             imagesCount: this.images !== undefined ? this.images.length : this.imagesCountEstimate,
-            progress: this.progress
+            progress: this.progress,
+            priority: this.priority,
+            stages: this.stages
         };
     }
 
     // Returns the output of the OpenDroneMap process
     // Optionally starting from a certain line number
-    getOutput(startFromLine = 0){
-        return this.output.slice(startFromLine, this.output.length);
+    // (negative values count from the last line)
+    getOutput(startFromLine, cb){
+        const count = this.outputLineOffsets.length;
+        let start = parseInt(startFromLine) || 0;
+        if (start < 0) start = Math.max(0, count + start);
+        if (start >= count) return cb(null, []);
+
+        // The file is read in chunks, up to the lines known at this point
+        // (lines that are still being written are left out)
+        const lines = [];
+        let partial = Buffer.alloc(0);
+        let done = false;
+
+        fs.createReadStream(this.getOutputFilePath(), {
+            start: this.outputLineOffsets[start],
+            end: this.outputSize - 1,
+            highWaterMark: 64 * 1024
+        }).on('data', chunk => {
+            let data = Buffer.concat([partial, chunk]);
+            let newline;
+            while ((newline = data.indexOf(0x0a)) !== -1 && lines.length < count - start){
+                lines.push(data.toString('utf8', 0, newline));
+                data = data.slice(newline + 1);
+            }
+            partial = data;
+        }).on('error', err => {
+            if (done) return;
+            done = true;
+            cb(err);
+        }).on('end', () => {
+            if (done) return;
+            done = true;
+            cb(null, lines);
+        });
     }
 
     // Reads the contents of the tasks's
     // images.json and returns its JSON representation
     readImagesDatabase(callback){
-        const imagesDbPath = !config.test ?
-                             path.join(this.getProjectFolderPath(), 'images.json') :
-                             path.join('tests', 'processing_results', 'images.json');
+        const imagesDbPath = path.join(this.getResultsFolderPath(), 'images.json');
 
         fs.readFile(imagesDbPath, 'utf8', (err, data) => {
             if (err) callback(err);
@@ -825,11 +1501,20 @@ module.exports = class Task{
             name: this.name,
             dateCreated: this.dateCreated,
             dateStarted: this.dateStarted,
+            processingTime: this.processingTime,
             status: this.status,
             options: this.options,
+            imagesCountEstimate: this.images !== undefined ? this.images.length : this.imagesCountEstimate,
+            progress: this.progress,
             webhook: this.webhook,
             skipPostProcessing: !!this.skipPostProcessing,
-            outputs: this.outputs || []
+            outputs: this.outputs || [],
+            priority: this.priority,
+            storage: this.storage,
+            stages: this.stages,
+            rerunFrom: this.rerunFrom,
+            filesChanged: this.filesChanged,
+            assetChecksums: this.assetChecksums
         };
     }
 };
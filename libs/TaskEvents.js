@@ -0,0 +1,128 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const EventEmitter = require('events');
+
+const BUFFER_SIZE = 5000; // Number of events kept in memory for clients that reconnect
+const HEARTBEAT_INTERVAL = 15000;
+
+// Publishes task events (status changes, progress updates, console output)
+// and streams them to clients as Server-Sent Events.
+// Event IDs are "<epoch>-<n>", where epoch identifies this process, so that clients
+// reconnecting after a restart are detected and sent a fresh snapshot instead.
+class TaskEvents extends EventEmitter{
+    constructor(){
+        super();
+        this.setMaxListeners(0);
+
+        this.epoch = Date.now().toString(36);
+        this.lastId = 0;
+        this.buffer = [];
+        this.muted = {}; // UUIDs of tasks whose events are not published
+    }
+
+    // Stops (or resumes) publishing the events of a task, for
+    // example while it's being restored from the task store
+    mute(uuid, muted = true){
+        if (muted) this.muted[uuid] = true;
+        else delete(this.muted[uuid]);
+    }
+
+    // @param uuid {String} UUID of the task
+    // @param type {String} event type (status, progress, output, stages, removed)
+    // @param data {Object} event payload
+    publish(uuid, type, data){
+        if (this.muted[uuid]) return;
+
+        const evt = {
+            id: ++this.lastId,
+            uuid,
+            type,
+            data: Object.assign({ uuid }, data)
+        };
+
+        this.buffer.push(evt);
+        if (this.buffer.length > BUFFER_SIZE) this.buffer.shift();
+
+        this.emit('event', evt);
+    }
+
+    // @return {Number} the sequence number of a Last-Event-ID
+    // if all events after it are still buffered, or null otherwise
+    parseLastEventId(lastEventId){
+        if (!lastEventId) return null;
+
+        const parts = String(lastEventId).split("-");
+        if (parts.length !== 2 || parts[0] !== this.epoch) return null;
+
+        const id = parseInt(parts[1]);
+        if (isNaN(id) || id > this.lastId) return null;
+
+        const oldestId = this.buffer.length > 0 ? this.buffer[0].id : this.lastId + 1;
+        if (id < oldestId - 1) return null;
+
+        return id;
+    }
+
+    // Streams events to a client
+    // @param req {Request}
+    // @param res {Response}
+    // @param uuid {String} only stream events of this task, or null for all tasks
+    // @param getSnapshot {Function} returns a list of task infos, sent to clients
+    //                   that are not resuming a previous stream
+    stream(req, res, uuid, getSnapshot){
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 3000\n\n');
+
+        const matches = evt => !uuid || evt.uuid === uuid;
+        const send = evt => {
+            res.write(`id: ${this.epoch}-${evt.id}\nevent: ${evt.type}\ndata: ${JSON.stringify(evt.data)}\n\n`);
+        };
+
+        const lastId = this.parseLastEventId(req.get('Last-Event-ID') || req.query.lastEventId);
+        if (lastId !== null){
+            this.buffer.filter(evt => evt.id > lastId && matches(evt)).forEach(send);
+        }else{
+            // Snapshots have no ID, so that they do not change the client's Last-Event-ID
+            getSnapshot().forEach(info => {
+                res.write(`event: info\ndata: ${JSON.stringify(info)}\n\n`);
+            });
+        }
+
+        const listener = evt => {
+            if (matches(evt)) send(evt);
+        };
+        this.on('event', listener);
+
+        const heartbeat = setInterval(() => {
+            res.write(': heartbeat\n\n');
+        }, HEARTBEAT_INTERVAL);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            this.removeListener('event', listener);
+        });
+    }
+}
+
+module.exports = new TaskEvents();
@@ -28,25 +28,72 @@ const async = require('async');
 const schedule = require('node-schedule');
 const Directories = require('./Directories');
 const ProgressReceiver = require('./ProgressReceiver');
+const taskEvents = require('./TaskEvents');
+const taskStore = require('./taskStore/factory');
 
-const TASKS_DUMP_FILE = path.join(Directories.data, "tasks.json");
 const CLEANUP_TASKS_IF_OLDER_THAN = 1000 * 60 * config.cleanupTasksAfter; // minutes
 const CLEANUP_STALE_UPLOADS_AFTER = 1000 * 60 * config.cleanupUploadsAfter; // minutes
 
+// Finished tasks are read from the task store when needed, the most
+// recently used ones are kept in memory
+const MAX_FINISHED_TASKS_IN_MEMORY = 100;
+
+// Number of (most recent) completed tasks used to estimate processing times
+const STAGE_TIMINGS_TASKS = 50;
+
+const FINAL_STATUSES = [statusCodes.FAILED, statusCodes.COMPLETED, statusCodes.CANCELED];
+
 let taskManager;
 
 class TaskManager{
     constructor(done){
-        this.tasks = {};
+        this.tasks = {}; // Tasks that are not finished, plus recently used finished tasks
+        this.finishedTasks = []; // UUIDs of the finished tasks in memory, least recently used first
+        this.loading = {}; // uuid --> callbacks waiting for a task to be read from the store
         this.runningQueue = [];
+        this.store = null;
+        this.pendingSaves = {};
+        this.restoreErrors = false;
+        this.stageTimings = {}; // See getStageTimings()
+        this.stageTimingsScheduled = false;
+        this.draining = false; // When set, no new tasks are processed
         
         const progressReceiver = new ProgressReceiver();
         progressReceiver.addListener(this.onProgressUpdate.bind(this));
 
+        // Save status changes
+        taskEvents.on('event', evt => {
+            if (evt.type === 'status' && this.tasks[evt.uuid]){
+                this.saveTask(this.tasks[evt.uuid]);
+                this.touch(this.tasks[evt.uuid]);
+            }
+
+            // Completed (or removed) tasks change the timings used for estimates
+            if (evt.type === 'status' || evt.type === 'removed'){
+                this.scheduleStageTimingsUpdate();
+            }
+        });
+
         async.series([
+            cb => {
+                try{
+                    this.store = taskStore.fromConfig(config);
+                }catch(e){
+                    return cb(e);
+                }
+                this.store.initialize(cb);
+            },
             cb => this.restoreTaskListFromDump(cb),
+            cb => this.dumpTaskList(cb),
+            cb => this.updateStageTimings(cb),
             cb => this.removeOldTasks(cb),
-            cb => this.removeOrphanedDirectories(cb),
+            cb => {
+                // Don't risk deleting the data of tasks that we could not restore
+                if (this.restoreErrors){
+                    logger.warn("Some tasks could not be restored, skipping removal of orphaned directories");
+                    cb();
+                }else this.removeOrphanedDirectories(cb);
+            },
             cb => this.removeStaleUploads(cb),
             cb => {
                 this.processNextTask();
@@ -81,29 +128,30 @@ class TaskManager{
 
     // Removes old tasks that have either failed, are completed, or
     // have been canceled.
-    removeOldTasks(done){
-        let list = [];
+    removeOldTasks(done = () => {}){
         let now = new Date().getTime();
         logger.debug("Checking for old tasks to be removed...");
 
-        for (let uuid in this.tasks){
-            let task = this.tasks[uuid];
-
-            let dateFinished = task.dateCreated;
-            if (task.processingTime > 0) dateFinished += task.processingTime;
-
-            if ([statusCodes.FAILED,
-                statusCodes.COMPLETED,
-                statusCodes.CANCELED].indexOf(task.status.code) !== -1 &&
-                now - dateFinished > CLEANUP_TASKS_IF_OLDER_THAN){
-                list.push(task.uuid);
-            }
-        }
-
-        async.eachSeries(list, (uuid, cb) => {
-            logger.info(`Cleaning up old task ${uuid}`);
-            this.remove(uuid, cb);
-        }, done);
+        this.store.query({
+            status: FINAL_STATUSES,
+            createdBefore: now - CLEANUP_TASKS_IF_OLDER_THAN
+        }, (err, result) => {
+            if (err) return done(err);
+
+            const list = result.tasks.filter(taskJson => {
+                const task = this.tasks[taskJson.uuid] || taskJson;
+                let dateFinished = task.dateCreated;
+                if (task.processingTime > 0) dateFinished += task.processingTime;
+
+                return FINAL_STATUSES.indexOf(task.status.code) !== -1 &&
+                       now - dateFinished > CLEANUP_TASKS_IF_OLDER_THAN;
+            }).map(taskJson => taskJson.uuid);
+
+            async.eachSeries(list, (uuid, cb) => {
+                logger.info(`Cleaning up old task ${uuid}`);
+                this.remove(uuid, cb);
+            }, done);
+        });
     }
 
     // Removes directories that don't have a corresponding
@@ -117,10 +165,14 @@ class TaskManager{
                 async.eachSeries(entries, (entry, cb) => {
                     let dirPath = path.join(Directories.data, entry);
                     if (fs.statSync(dirPath).isDirectory() &&
-                        entry.match(/^[\w\d]+\-[\w\d]+\-[\w\d]+\-[\w\d]+\-[\w\d]+$/) &&
-                        !this.tasks[entry]){
-                        logger.info(`Found orphaned directory: ${entry}, removing...`);
-                        rmdir(dirPath, cb);
+                        entry.match(/^[\w\d]+\-[\w\d]+\-[\w\d]+\-[\w\d]+\-[\w\d]+$/)){
+                        this.exists(entry, (err, exists) => {
+                            if (err) cb(err);
+                            else if (!exists){
+                                logger.info(`Found orphaned directory: ${entry}, removing...`);
+                                rmdir(dirPath, cb);
+                            }else cb();
+                        });
                     }else cb();
                 }, done);
             }
@@ -150,50 +202,187 @@ class TaskManager{
         });
     }
 
-    // Load tasks that already exists (if any)
+    // Load tasks that already exists (if any). Only tasks that are not
+    // finished are restored, finished tasks are read from the store when needed.
     restoreTaskListFromDump(done){
-        fs.readFile(TASKS_DUMP_FILE, (err, data) => {
-            if (!err){
-                let tasks;
-                try{
-                    tasks = JSON.parse(data.toString());
-                }catch(e){
-                    logger.warn(`Could not load task list. It looks like the ${TASKS_DUMP_FILE} is corrupted (${e.message}).`);
-                    if (done !== undefined) done();
-                    return;
-                }
-
-                async.each(tasks, (taskJson, done) => {
-                    Task.CreateFromSerialized(taskJson, (err, task) => {
-                        if (err) done(err);
-                        else{
-                            this.tasks[task.uuid] = task;
-                            done();
-                        }
-                    });
-                }, err => {
-                    logger.info(`Initialized ${tasks.length} tasks`);
-                    if (done !== undefined) done();
+        this.store.query({
+            status: [statusCodes.QUEUED, statusCodes.RUNNING, statusCodes.PAUSED]
+        }, (err, result) => {
+            if (err){
+                if (done !== undefined) done(err);
+                return;
+            }
+            if (this.store.hadErrors) this.restoreErrors = true;
+
+            async.each(result.tasks, (taskJson, cb) => {
+                Task.CreateFromSerialized(taskJson, (err, task) => {
+                    if (err){
+                        logger.warn(`Could not restore task ${taskJson.uuid}: ${err.message}`);
+                        this.restoreErrors = true;
+                    }else{
+                        this.tasks[task.uuid] = task;
+                    }
+                    cb();
                 });
-            }else{
-                logger.info("No tasks dump found");
+            }, () => {
+                logger.info(`Initialized ${Object.keys(this.tasks).length} tasks`);
                 if (done !== undefined) done();
-            }
+            });
         });
     }
 
-    // Finds the first QUEUED task.
+    // Finds the next QUEUED task (highest priority first,
+    // then oldest first).
     findNextTaskToProcess(){
+        return this.getQueuedTasks()[0];
+    }
+
+    // Returns the list of QUEUED tasks, in the order
+    // in which they will be processed.
+    getQueuedTasks(){
+        let queue = [];
         for (let uuid in this.tasks){
             if (this.tasks[uuid].getStatus() === statusCodes.QUEUED && this.tasks[uuid].initialized){
-                return this.tasks[uuid];
+                queue.push(this.tasks[uuid]);
             }
         }
+
+        return queue.sort((a, b) => (b.priority - a.priority) || (a.dateCreated - b.dateCreated));
+    }
+
+    // Returns the position (starting from 1) of a task
+    // in the processing queue, or -1 if the task is not queued.
+    getQueuePosition(task, queue = this.getQueuedTasks()){
+        const idx = queue.indexOf(task);
+        return idx !== -1 ? idx + 1 : -1;
+    }
+
+    // How long each stage takes per image, on average,
+    // for the last tasks that have completed on this node.
+    // @return {Object} stage name --> milliseconds per image (empty if no tasks have completed)
+    getStageTimings(){
+        return this.stageTimings;
+    }
+
+    // Computes the stage timings (see getStageTimings) from the task store
+    updateStageTimings(done = () => {}){
+        this.store.query({
+            status: [statusCodes.COMPLETED],
+            sort: "-dateCreated",
+            limit: STAGE_TIMINGS_TASKS
+        }, (err, result) => {
+            if (err){
+                logger.warn(`Cannot compute stage timings: ${err.message}`);
+                return done();
+            }
+
+            const totals = {};
+            let images = 0;
+            result.tasks.forEach(taskJson => {
+                const imagesCount = taskJson.imagesCountEstimate;
+                if (!taskJson.stages || taskJson.stages.length === 0 || !imagesCount || imagesCount <= 0) return;
+
+                // Stages that did not run for a task count as taking no time
+                images += imagesCount;
+                taskJson.stages.forEach(stage => {
+                    if (stage.status === "completed"){
+                        totals[stage.name] = (totals[stage.name] || 0) + stage.finishedAt - stage.startedAt;
+                    }
+                });
+            });
+
+            const timings = {};
+            for (let name in totals) timings[name] = totals[name] / images;
+
+            this.stageTimings = images > 0 ? timings : {};
+            done();
+        });
+    }
+
+    // Updates the stage timings once pending changes are saved
+    scheduleStageTimingsUpdate(){
+        if (this.stageTimingsScheduled) return;
+        this.stageTimingsScheduled = true;
+
+        setImmediate(() => {
+            this.flushPendingSaves();
+            this.stageTimingsScheduled = false;
+            this.updateStageTimings();
+        });
+    }
+
+    // Estimates how long a task will take to complete (or how long
+    // it will take to process, if it's not running or paused)
+    // @return {Number} milliseconds, or null if no estimate is available
+    estimateRemainingTime(task, timings = this.getStageTimings(), now = new Date().getTime()){
+        const imagesCount = task.getInfo().imagesCount;
+        if (Object.keys(timings).length === 0 || imagesCount <= 0) return null;
+
+        const started = task.isRunning() || task.isPaused();
+
+        // Processing time does not advance while a task is paused
+        const elapsedUntil = task.isPaused() && task.pausedAt ? task.pausedAt : now;
+
+        let remaining = 0;
+        Object.keys(timings).forEach(name => {
+            const estimate = timings[name] * imagesCount;
+            const stage = started ? task.stages.find(s => s.name === name) : null;
+
+            if (!stage) remaining += estimate;
+            else if (stage.status === "running") remaining += Math.max(0, estimate - (elapsedUntil - stage.startedAt));
+        });
+
+        return Math.round(remaining);
+    }
+
+    // Estimates when running tasks will complete and when queued
+    // tasks will start (and complete), based on the timings of the tasks
+    // that have completed on this node and on the number of images of each task.
+    // @return {Object} uuid --> {start, completion} timestamps (null if not available)
+    getEstimates(queue = this.getQueuedTasks()){
+        const timings = this.getStageTimings();
+        const now = new Date().getTime();
+        const estimates = {};
+
+        // Times at which each processing slot becomes available
+        const slots = [];
+        this.runningQueue.forEach(task => {
+            const remaining = this.estimateRemainingTime(task, timings, now);
+            const completion = remaining !== null ? now + remaining : null;
+            estimates[task.uuid] = { start: task.dateStarted || null, completion };
+            slots.push(completion);
+        });
+        while (slots.length < config.parallelQueueProcessing) slots.push(now);
+
+        queue.forEach(task => {
+            // Once a slot cannot be estimated, neither can the tasks that follow
+            if (slots.indexOf(null) !== -1){
+                estimates[task.uuid] = { start: null, completion: null };
+                return;
+            }
+
+            const slot = slots.indexOf(Math.min.apply(null, slots));
+            const remaining = this.estimateRemainingTime(task, timings, now);
+            const start = slots[slot];
+            const completion = remaining !== null ? start + remaining : null;
+            estimates[task.uuid] = { start, completion };
+            slots[slot] = completion;
+        });
+
+        return estimates;
+    }
+
+    // Returns the estimated start and completion times of a task (see getEstimates),
+    // or null if the task is not running or queued.
+    getEta(task, estimates = this.getEstimates()){
+        return estimates[task.uuid] || null;
     }
 
     // Finds the next tasks, adds them to the running queue,
     // and starts the tasks (up to the limit).
     processNextTask(){
+        if (this.draining) return;
+
         if (this.runningQueue.length < config.parallelQueueProcessing){
             let task = this.findNextTaskToProcess();
             if (task){
@@ -226,6 +415,7 @@ class TaskManager{
     addNew(task){
         assert(task.constructor.name === "Task", "Must be a Task object");
         this.tasks[task.uuid] = task;
+        this.writeToStore(() => this.store.put(task.serialize()));
 
         this.processNextTask();
     }
@@ -233,9 +423,9 @@ class TaskManager{
     // Stops the execution of a task
     // (without removing it from the system).
     cancel(uuid, cb){
-        let task = this.find(uuid, cb);
-        if (task){
-            if (!task.isCanceled()){
+        this.find(uuid, (err, task) => {
+            if (err) cb(err);
+            else if (!task.isCanceled()){
                 task.cancel(err => {
                     this.removeFromRunningQueue(task);
                     this.processNextTask();
@@ -244,7 +434,7 @@ class TaskManager{
             }else{
                 cb(null); // Nothing to be done
             }
-        }
+        });
     }
 
     // Removes a task from the system.
@@ -252,16 +442,21 @@ class TaskManager{
     remove(uuid, cb){
         this.cancel(uuid, err => {
             if (!err){
-                let task = this.find(uuid, cb);
+                let task = this.tasks[uuid];
                 if (task){
+                    // Canceling the task might have scheduled a save
+                    delete(this.pendingSaves[uuid]);
+                    this.writeToStore(() => this.store.remove(uuid));
                     task.cleanup(err => {
                         if (!err){
                             delete(this.tasks[uuid]);
+                            this.finishedTasks = this.finishedTasks.filter(u => u !== uuid);
+                            taskEvents.publish(uuid, 'removed', {});
                             this.processNextTask();
                             cb(null);
                         }else cb(err);
                     });
-                }else; // cb is called by find on error
+                }else cb(new Error(`${uuid} not found`));
             }else cb(err);
         });
     }
@@ -269,46 +464,231 @@ class TaskManager{
     // Restarts (puts back into QUEUED state)
     // a task that is either in CANCELED or FAILED state.
     // When options is set, the task's options are overriden
-    restart(uuid, options, cb){
-        let task = this.find(uuid, cb);
-        if (task){
-            task.restart(options, err => {
+    // When rerunFrom is set, processing restarts from that ODM stage
+    restart(uuid, options, rerunFrom, cb){
+        this.find(uuid, (err, task) => {
+            if (err) cb(err);
+            else task.restart(options, rerunFrom, err => {
                 if (!err) this.processNextTask();
                 cb(err);
             });
-        }
+        });
+    }
+
+    // Suspends a running task
+    // @param freeSlot {Boolean} whether another queued task can be processed
+    //                           while this task is paused (once resumed, the task
+    //                           runs in addition to the parallel processing limit)
+    pause(uuid, freeSlot, cb){
+        this.find(uuid, (err, task) => {
+            if (err) cb(err);
+            else task.pause(err => {
+                if (!err && freeSlot){
+                    this.removeFromRunningQueue(task);
+                    this.processNextTask();
+                }
+                cb(err);
+            });
+        });
     }
 
-    // Finds a task by its UUID string.
+    // Continues processing a paused task
+    resume(uuid, cb){
+        this.find(uuid, (err, task) => {
+            if (err) cb(err);
+            else task.resume(err => {
+                if (!err && this.runningQueue.indexOf(task) === -1) this.addToRunningQueue(task);
+                cb(err);
+            });
+        });
+    }
+
+    // Changes the priority of a task waiting to be processed.
+    setPriority(uuid, priority, cb){
+        this.find(uuid, (err, task) => {
+            if (err) cb(err);
+            else task.setPriority(priority, err => {
+                if (!err) this.saveTask(task);
+                cb(err);
+            });
+        });
+    }
+
+    // Finds a task by its UUID string, reading it
+    // from the task store if it's not in memory.
+    // @param cb {Function} callback(err, task)
     find(uuid, cb){
-        let task = this.tasks[uuid];
-        if (!task && cb) cb(new Error(`${uuid} not found`));
-        return task;
+        const task = this.tasks[uuid];
+        if (task){
+            this.touch(task);
+            return cb(null, task);
+        }
+
+        // Already being read?
+        if (this.loading[uuid]) return this.loading[uuid].push(cb);
+        this.loading[uuid] = [cb];
+
+        const done = (err, task) => {
+            const callbacks = this.loading[uuid];
+            delete(this.loading[uuid]);
+            callbacks.forEach(cb => cb(err, task));
+        };
+
+        this.store.get(uuid, (err, taskJson) => {
+            if (err) done(err);
+            else if (!taskJson) done(new Error(`${uuid} not found`));
+            else{
+                Task.CreateFromSerialized(taskJson, (err, task) => {
+                    if (err) done(err);
+                    else if (this.tasks[uuid]) done(null, this.tasks[uuid]); // Added in the meantime
+                    else{
+                        this.tasks[uuid] = task;
+                        this.touch(task);
+                        done(null, task);
+                    }
+                });
+            }
+        });
     }
 
-    // Serializes the list of tasks and saves it
-    // to disk
-    dumpTaskList(done){
-        let output = [];
+    // Returns a task if it's in memory (see find)
+    findLoaded(uuid){
+        return this.tasks[uuid];
+    }
+
+    // Checks whether a task exists (in memory or in the task store)
+    // @param cb {Function} callback(err, exists)
+    exists(uuid, cb){
+        if (this.tasks[uuid] || this.loading[uuid]) return cb(null, true);
+        this.store.get(uuid, (err, taskJson) => cb(err, !!taskJson));
+    }
+
+    // Marks a task as recently used. Finished tasks that have
+    // not been used recently are released from memory.
+    touch(task){
+        this.finishedTasks = this.finishedTasks.filter(uuid => uuid !== task.uuid);
+        if (!task.initialized || FINAL_STATUSES.indexOf(task.getStatus()) === -1) return;
+
+        this.finishedTasks.push(task.uuid);
+
+        let i = 0;
+        while (this.finishedTasks.length - i > MAX_FINISHED_TASKS_IN_MEMORY && i < this.finishedTasks.length){
+            const uuid = this.finishedTasks[i];
+
+            // Changes must be saved first
+            if (this.pendingSaves[uuid]) i++;
+            else{
+                delete(this.tasks[uuid]);
+                this.finishedTasks.splice(i, 1);
+            }
+        }
+    }
+
+    // Writes changes to the task store
+    writeToStore(write){
+        try{
+            write();
+        }catch(e){
+            logger.error(`Could not write to the task store: ${e.message}`);
+        }
+    }
 
+    // Schedules a write of the current state of a task.
+    // Writes happen once the current operation has completed
+    // (so that all changes to the task are included)
+    saveTask(task){
+        const flushScheduled = Object.keys(this.pendingSaves).length > 0;
+        this.pendingSaves[task.uuid] = task;
+        if (!flushScheduled) setImmediate(() => this.flushPendingSaves());
+    }
+
+    flushPendingSaves(){
+        const tasks = [];
+        for (let uuid in this.pendingSaves){
+            if (this.tasks[uuid]) tasks.push(this.tasks[uuid].serialize());
+        }
+        this.pendingSaves = {};
+        if (tasks.length > 0) this.writeToStore(() => this.store.putMany(tasks));
+    }
+
+    // Saves the current state of all tasks (progress, processing time, etc.
+    // are not saved on every change) and lets the store compact its data
+    dumpTaskList(done){
         for (let uuid in this.tasks){
-            output.push(this.tasks[uuid].serialize());
+            this.pendingSaves[uuid] = this.tasks[uuid];
         }
+        this.flushPendingSaves();
 
-        fs.writeFile(TASKS_DUMP_FILE, JSON.stringify(output), err => {
+        this.store.compact(err => {
             if (err) logger.error(`Could not dump tasks: ${err.message}`);
             else logger.debug("Dumped tasks list.");
+
             if (done !== undefined) done();
         });
     }
 
+    // Queries the task store
+    // @param filter {Object} see TaskStoreBase.query
+    // @param cb {Function} callback(err, {total, tasks}) where tasks is a list of serialized tasks
+    query(filter, cb){
+        this.store.query(filter, cb);
+    }
+
+    // Stops (or resumes) processing queued tasks. While draining,
+    // running tasks complete but queued tasks remain queued.
+    setDraining(draining){
+        if (draining !== this.draining) logger.info(draining ? "Draining: no new tasks will be processed" : "Stopped draining");
+        this.draining = draining;
+        if (!draining) this.processNextTask();
+    }
+
+    // Tasks that are being processed (including paused tasks)
+    getRunningTasks(){
+        return Object.keys(this.tasks)
+                     .map(uuid => this.tasks[uuid])
+                     .filter(task => task.isRunning() || task.isPaused());
+    }
+
+    // Waits for the running tasks to complete
+    // @param timeout {Number} milliseconds to wait at most
+    // @param cb {Function} called once no tasks are running, or after the timeout
+    // @return {Function} function to stop waiting (cb is called)
+    waitForRunningTasks(timeout, cb){
+        const started = new Date().getTime();
+        let interval = null;
+
+        const stop = () => {
+            if (interval === null) return;
+            clearInterval(interval);
+            interval = null;
+            cb();
+        };
+        const check = () => {
+            if (this.getRunningTasks().length === 0 || new Date().getTime() - started >= timeout) stop();
+        };
+
+        interval = setInterval(check, 1000);
+        check();
+
+        return stop;
+    }
+
+    // Stops the processes of the running tasks (see Task.terminate)
+    terminateRunningTasks(cb){
+        async.each(this.getRunningTasks(), (task, cb) => {
+            logger.info(`Stopping ${task.uuid}`);
+            task.terminate(cb);
+        }, cb);
+    }
+
     getQueueCount(){
         let count = 0;
         for (let uuid in this.tasks){
             let task = this.tasks[uuid];
 
             if ([statusCodes.QUEUED,
-                statusCodes.RUNNING].indexOf(task.status.code) !== -1){
+                statusCodes.RUNNING,
+                statusCodes.PAUSED].indexOf(task.status.code) !== -1){
                 count++;
             }
         }
@@ -322,8 +702,9 @@ class TaskManager{
             for (let uuid in this.tasks){
                 let task = this.tasks[uuid];
                 
-                if (task.isRunning() && task.dateStarted > 0 && (now - task.dateStarted) > config.maxRuntime * 60 * 1000){
-                    task.output.push(`Task timed out after ${Math.ceil(task.processingTime / 60 / 1000)} minutes.\n`);
+                // Time spent paused does not count
+                if (task.isRunning() && task.dateStarted > 0 && (now - task.dateStarted - task.pausedTime) > config.maxRuntime * 60 * 1000){
+                    task.pushOutput(`Task timed out after ${Math.ceil(task.processingTime / 60 / 1000)} minutes.\n`);
                     this.cancel(uuid, () => {
                         logger.warn(`Task ${uuid} timed out`);
                     });
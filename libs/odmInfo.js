@@ -23,6 +23,7 @@ const assert = require('assert');
 const logger = require('./logger');
 
 let odmOptions = null;
+let odmStages = null;
 let odmVersion = null;
 let engine = null;
 
@@ -77,7 +78,17 @@ module.exports = {
             if (err) done(err);
             else{
                 odmOptions = [];
+                odmStages = [];
                 for (let option in json){
+                    // The stages of the pipeline, in order
+                    if (option === "--rerun-from" && json[option].choices){
+                        try{
+                            odmStages = JSON.parse(json[option].choices.replace(/'/g, '"'));
+                        }catch(e){
+                            logger.warn(`Cannot parse stages: ${json[option].choices}`);
+                        }
+                    }
+
                     // Not all options are useful to the end user
                     // (num cores can be set programmatically, so can gcpFile, etc.)
                     if (["-h", "--project-path", "--cmvs-maxImages", "--time",
@@ -160,6 +171,15 @@ module.exports = {
         });
     },
 
+    // Lists the stages of the ODM pipeline (in the order they run)
+    // that processing can be restarted from
+    getStages: function(done){
+        this.getOptions(err => {
+            if (err) done(err);
+            else done(null, odmStages);
+        });
+    },
+
     // Checks that the options (as received from the rest endpoint)
     // Are valid and within proper ranges.
     // The result of filtering is passed back via callback
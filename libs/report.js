@@ -0,0 +1,163 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const fs = require('fs');
+const path = require('path');
+const async = require('async');
+const logger = require('./logger');
+
+// ODM outputs read by the report, relative to the results folder
+const SHOTS = "odm_report/shots.geojson";
+const GCP = "odm_georeferencing/ground_control_points.geojson";
+const STATS = "opensfm/stats/stats.json";
+
+const EARTH_RADIUS = 6378137; // meters
+
+// Reads a JSON file, or returns null if it's missing or invalid
+const readJson = (file, cb) => {
+    fs.readFile(file, 'utf8', (err, data) => {
+        if (err) return cb(null, null);
+
+        try{
+            cb(null, JSON.parse(data));
+        }catch(e){
+            logger.warn(`Cannot parse ${file}: ${e.message}`);
+            cb(null, null);
+        }
+    });
+};
+
+const getPoints = geojson => {
+    if (!geojson || !Array.isArray(geojson.features)) return [];
+    return geojson.features.filter(f => f.geometry && f.geometry.type === "Point");
+};
+
+const round = (value, digits) => {
+    const p = Math.pow(10, digits);
+    return Math.round(value * p) / p;
+};
+
+const rms = values => Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / values.length);
+
+// Area (in square meters) of the convex hull of a set of [lon, lat] coordinates,
+// projected on a plane tangent to their mean latitude (fine for the size of a survey)
+const hullArea = coords => {
+    if (coords.length < 3) return 0;
+
+    const lat0 = coords.reduce((sum, c) => sum + c[1], 0) / coords.length * Math.PI / 180;
+    const points = coords.map(c => [
+        c[0] * Math.PI / 180 * EARTH_RADIUS * Math.cos(lat0),
+        c[1] * Math.PI / 180 * EARTH_RADIUS
+    ]).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    // Monotone chain
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    const half = pts => {
+        const h = [];
+        pts.forEach(p => {
+            while (h.length >= 2 && cross(h[h.length - 2], h[h.length - 1], p) <= 0) h.pop();
+            h.push(p);
+        });
+        h.pop();
+        return h;
+    };
+    const hull = half(points).concat(half(points.slice().reverse()));
+
+    let area = 0;
+    for (let i = 0; i < hull.length; i++){
+        const a = hull[i], b = hull[(i + 1) % hull.length];
+        area += a[0] * b[1] - b[0] * a[1];
+    }
+    return Math.abs(area) / 2;
+};
+
+// Residuals of the ground control points, as written by ODM
+// in the error_x, error_y and error_z properties (meters)
+const gcpResiduals = geojson => {
+    const residuals = getPoints(geojson).map(f => {
+        const p = f.properties || {};
+        const x = parseFloat(p.error_x), y = parseFloat(p.error_y), z = parseFloat(p.error_z);
+        if (isNaN(x) || isNaN(y) || isNaN(z)) return null;
+
+        return {
+            id: p.id !== undefined ? String(p.id) : null,
+            observations: p.observations_count !== undefined ? parseInt(p.observations_count) : null,
+            x, y, z,
+            horizontal: Math.sqrt(x * x + y * y)
+        };
+    }).filter(r => r !== null);
+
+    if (residuals.length === 0) return null;
+
+    return {
+        count: residuals.length,
+        residuals,
+        rmse: {
+            horizontal: rms(residuals.map(r => r.horizontal)),
+            vertical: rms(residuals.map(r => r.z))
+        }
+    };
+};
+
+module.exports = {
+    // Builds a quality report of a task from the outputs of ODM
+    // and the stage timings recorded while processing.
+    // Values that cannot be computed (for example because an output is missing) are null.
+    // @param cb {Function} callback(err, report)
+    build: function(task, cb){
+        const resultsPath = task.getResultsFolderPath();
+
+        async.parallel({
+            shots: cb => readJson(path.join(resultsPath, SHOTS), cb),
+            gcp: cb => readJson(path.join(resultsPath, GCP), cb),
+            stats: cb => readJson(path.join(resultsPath, STATS), cb)
+        }, (err, outputs) => {
+            if (err) return cb(err);
+
+            const shots = getPoints(outputs.shots);
+            const stats = outputs.stats || {};
+            const reconstruction = stats.reconstruction_statistics || {};
+            const processing = stats.odm_processing_statistics || {};
+
+            let reconstructed = null;
+            if (outputs.shots) reconstructed = shots.length;
+            else if (reconstruction.reconstructed_shots_count !== undefined) reconstructed = reconstruction.reconstructed_shots_count;
+
+            cb(null, {
+                uuid: task.uuid,
+                name: task.name,
+                status: task.status,
+                processingTime: task.processingTime,
+                images: {
+                    uploaded: task.images !== undefined ? task.images.length : task.imagesCountEstimate,
+                    reconstructed
+                },
+                gsd: typeof processing.average_gsd === 'number' ? round(processing.average_gsd, 2) : null,
+                area: outputs.shots ? round(hullArea(shots.map(f => f.geometry.coordinates)), 2) : null,
+                gcp: gcpResiduals(outputs.gcp),
+                stages: task.stages.map(s => ({
+                    name: s.name,
+                    status: s.status,
+                    startedAt: s.startedAt,
+                    finishedAt: s.finishedAt,
+                    duration: s.finishedAt ? s.finishedAt - s.startedAt : null
+                }))
+            });
+        });
+    }
+};
@@ -21,5 +21,6 @@ module.exports = {
     RUNNING: 20,
     FAILED: 30,
     COMPLETED: 40,
-    CANCELED: 50
+    CANCELED: 50,
+    PAUSED: 60
 };
\ No newline at end of file
@@ -0,0 +1,108 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const { BlobServiceClient, StorageSharedKeyCredential, BlobSASPermissions } = require('@azure/storage-blob');
+const logger = require('../logger');
+const StorageBackendBase = require('./StorageBackendBase');
+
+module.exports = class AzureStorage extends StorageBackendBase{
+    // @param options.connectionString {String} (optional) storage account connection string
+    //                                 (use "UseDevelopmentStorage=true" for a local Azurite emulator)
+    // @param options.account {String} (optional) storage account name, if no connection string is set
+    // @param options.accountKey {String} (optional) storage account key, if no connection string is set
+    // @param options.endpoint {String} (optional) blob service URL (default: https://<account>.blob.core.windows.net)
+    constructor(options){
+        super(Object.assign({
+            parallelUploads: 16,
+            maxRetries: 5,
+            useTaskName: true
+        }, options));
+
+        this.options = options;
+        this.client = null;
+    }
+
+    initialize(cb){
+        const opts = this.options;
+
+        try{
+            if (opts.connectionString){
+                this.client = BlobServiceClient.fromConnectionString(opts.connectionString);
+            }else if (opts.account && opts.accountKey){
+                const endpoint = opts.endpoint || `https://${opts.account}.blob.core.windows.net`;
+                this.client = new BlobServiceClient(endpoint, new StorageSharedKeyCredential(opts.account, opts.accountKey));
+            }else{
+                throw new Error("either a connection string or an account name and key are required");
+            }
+        }catch(err){
+            return cb(new Error(`Failed to initialize Azure: ${err.message}`));
+        }
+
+        // Test connection by checking if the container exists
+        this.client.getContainerClient(this.bucket).exists().then(exists => {
+            if (!exists){
+                cb(new Error(`Azure container '${this.bucket}' does not exist or is not accessible`));
+            }else{
+                logger.info(`Connected to Azure container: ${this.bucket}`);
+                cb();
+            }
+        }, err => {
+            cb(new Error(`Cannot connect to Azure: ${err.message}`));
+        });
+    }
+
+    getUrl(bucket, key){
+        return this.getBlob(bucket, key).url;
+    }
+
+    getBlob(bucket, key){
+        if (!this.client) throw new Error("Azure is not initialized");
+        return this.client.getContainerClient(bucket || this.bucket).getBlockBlobClient(key);
+    }
+
+    uploadFile(bucket, file, cb){
+        const uploadOptions = {
+            blobHTTPHeaders: {
+                blobContentType: this.getContentType(file.src)
+            },
+            blockSize: 8 * 1024 * 1024,
+            concurrency: 4
+        };
+
+        this.getBlob(bucket, file.dest).uploadFile(file.src, uploadOptions)
+            .then(() => cb(), cb);
+    }
+
+    exists(bucket, key, cb){
+        this.getBlob(bucket, key).exists()
+            .then(exists => cb(null, exists), cb);
+    }
+
+    delete(bucket, key, cb){
+        this.getBlob(bucket, key).delete()
+            .then(() => cb(), cb);
+    }
+
+    signedUrl(bucket, key, expires, cb){
+        // Requires the client to be authenticated with an account key
+        this.getBlob(bucket, key).generateSasUrl({
+            permissions: BlobSASPermissions.parse("r"),
+            expiresOn: new Date(Date.now() + expires * 1000)
+        }).then(url => cb(null, url), cb);
+    }
+};
@@ -0,0 +1,117 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const { Storage } = require('@google-cloud/storage');
+const fs = require('fs');
+const logger = require('../logger');
+const StorageBackendBase = require('./StorageBackendBase');
+
+module.exports = class GCSStorage extends StorageBackendBase{
+    // @param options.projectId {String} (optional) project ID, auto-detected from credentials if not set
+    // @param options.keyPath {String} (optional) path to a service account JSON key file,
+    //                        uses default credentials if not set (e.g., VM service account,
+    //                        workload identity, GOOGLE_APPLICATION_CREDENTIALS env var)
+    constructor(options){
+        super(Object.assign({
+            parallelUploads: 16,
+            maxRetries: 5,
+            useTaskName: true
+        }, options));
+
+        this.options = options;
+        this.storage = null;
+    }
+
+    initialize(cb){
+        const storageConfig = {};
+        if (this.options.keyPath) storageConfig.keyFilename = this.options.keyPath;
+        if (this.options.projectId) storageConfig.projectId = this.options.projectId;
+
+        try{
+            this.storage = new Storage(storageConfig);
+
+            // Test connection by checking if bucket exists
+            this.storage.bucket(this.bucket).exists((err, exists) => {
+                if (err){
+                    cb(new Error(`Cannot connect to GCS: ${err.message}`));
+                }else if (!exists){
+                    cb(new Error(`GCS bucket '${this.bucket}' does not exist or is not accessible`));
+                }else{
+                    logger.info(`Connected to GCS bucket: ${this.bucket}`);
+                    cb();
+                }
+            });
+        }catch(err){
+            cb(new Error(`Failed to initialize GCS: ${err.message}`));
+        }
+    }
+
+    getUrl(bucket, key){
+        return `gs://${bucket || this.bucket}/${key}`;
+    }
+
+    getFile(bucket, key){
+        if (!this.storage) throw new Error("GCS is not initialized");
+        return this.storage.bucket(bucket || this.bucket).file(key);
+    }
+
+    uploadFile(bucket, file, cb){
+        const uploadOptions = {
+            resumable: file.size > 5 * 1024 * 1024, // Use resumable for files > 5MB
+            validation: 'crc32c',
+            metadata: {
+                contentType: this.getContentType(file.src)
+            }
+        };
+
+        // For large files, set chunk size
+        if (file.size > 10 * 1024 * 1024) {
+            uploadOptions.chunkSize = 10 * 1024 * 1024; // 10MB chunks
+        }
+
+        let cbCalled = false;
+        const done = err => {
+            if (!cbCalled){
+                cbCalled = true;
+                cb(err);
+            }
+        };
+
+        fs.createReadStream(file.src)
+            .on('error', done)
+            .pipe(this.getFile(bucket, file.dest).createWriteStream(uploadOptions))
+            .on('error', done)
+            .on('finish', () => done());
+    }
+
+    exists(bucket, key, cb){
+        this.getFile(bucket, key).exists((err, exists) => cb(err, exists));
+    }
+
+    delete(bucket, key, cb){
+        this.getFile(bucket, key).delete(err => cb(err));
+    }
+
+    signedUrl(bucket, key, expires, cb){
+        this.getFile(bucket, key).getSignedUrl({
+            version: 'v4',
+            action: 'read',
+            expires: Date.now() + expires * 1000
+        }, cb);
+    }
+};
@@ -0,0 +1,86 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const StorageBackendBase = require('./StorageBackendBase');
+
+// Copies results to a folder on the local filesystem
+// (or a network share such as NFS mounted on it).
+// The "bucket" is the root folder; other buckets are subfolders of it.
+module.exports = class LocalStorage extends StorageBackendBase{
+    constructor(options){
+        super(Object.assign({
+            parallelUploads: 2,
+            maxRetries: 2
+        }, options));
+    }
+
+    initialize(cb){
+        fs.mkdir(this.bucket, { recursive: true }, err => {
+            if (err) return cb(new Error(`Cannot create local storage folder ${this.bucket}: ${err.message}`));
+
+            fs.access(this.bucket, fs.constants.W_OK, err => {
+                if (err) cb(new Error(`Local storage folder ${this.bucket} is not writable: ${err.message}`));
+                else{
+                    logger.info(`Local storage folder: ${this.bucket}`);
+                    cb();
+                }
+            });
+        });
+    }
+
+    getRoot(bucket){
+        if (!bucket || bucket === this.bucket) return this.bucket;
+        else return path.join(this.bucket, path.basename(bucket));
+    }
+
+    getPath(bucket, key){
+        const root = this.getRoot(bucket);
+        const p = path.resolve(root, key);
+        if (p.indexOf(path.resolve(root) + path.sep) !== 0) throw new Error(`Invalid path: ${key}`);
+        return p;
+    }
+
+    getUrl(bucket, key){
+        return path.join(this.getRoot(bucket), key);
+    }
+
+    uploadFile(bucket, file, cb){
+        let dest;
+        try{
+            dest = this.getPath(bucket, file.dest);
+        }catch(e){
+            return cb(e);
+        }
+
+        fs.mkdir(path.dirname(dest), { recursive: true }, err => {
+            if (err) cb(err);
+            else fs.copyFile(file.src, dest, cb);
+        });
+    }
+
+    exists(bucket, key, cb){
+        fs.access(this.getPath(bucket, key), fs.constants.F_OK, err => cb(null, !err));
+    }
+
+    delete(bucket, key, cb){
+        fs.unlink(this.getPath(bucket, key), cb);
+    }
+};
@@ -0,0 +1,179 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const AWS = require('aws-sdk');
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const si = require('systeminformation');
+const logger = require('../logger');
+const StorageBackendBase = require('./StorageBackendBase');
+
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+module.exports = class S3Storage extends StorageBackendBase{
+    // @param options.endpoint {String} S3 endpoint (for example, nyc3.digitaloceanspaces.com)
+    // @param options.accessKey {String} (optional) access key, uses the IAM role if not set
+    // @param options.secretKey {String} (optional) secret key, uses the IAM role if not set
+    // @param options.signatureVersion {String} signature version
+    // @param options.forcePathStyle {Boolean} force path style URLs
+    // @param options.acl {String} canned ACL, or "none" to skip
+    // @param options.ignoreSSL {Boolean} ignore SSL errors
+    constructor(options){
+        super(Object.assign({
+            parallelUploads: 4,
+            maxRetries: 6
+        }, options));
+
+        this.options = options;
+        this.s3 = null;
+    }
+
+    initialize(cb){
+        const opts = this.options;
+
+        if (opts.ignoreSSL){
+            AWS.config.update({
+                httpOptions: {
+                  agent: new https.Agent({
+                    rejectUnauthorized: false
+                  })
+                }
+            });
+        }
+
+        const s3Config = {
+            endpoint: new AWS.Endpoint(opts.endpoint),
+            signatureVersion: ('v' + opts.signatureVersion) || 'v4',
+            s3ForcePathStyle: opts.forcePathStyle,
+        };
+
+        // If we are not using IAM roles then we need to pass access key and secret key in our config
+        if (opts.accessKey && opts.secretKey) {
+            s3Config.accessKeyId = opts.accessKey;
+            s3Config.secretAccessKey = opts.secretKey;
+        }else{
+            logger.info("Secret Key and Access ID not passed. Using the IAM role");
+        }
+
+        this.s3 = new AWS.S3(s3Config);
+
+        // Test connection
+        this.s3.putObject({
+            Bucket: this.bucket,
+            Key: 'test.txt',
+            Body: ''
+        }, err => {
+            if (!err){
+                logger.info("Connected to S3");
+                cb();
+            }else{
+                cb(new Error(`Cannot connect to S3. Check your S3 configuration: ${err.message} (${err.code})`));
+            }
+        });
+    }
+
+    getUrl(bucket, key){
+        return `s3://${bucket || this.bucket}/${key}`;
+    }
+
+    uploadPaths(srcFolder, bucket, dstFolder, paths, cb, onOutput){
+        if (!this.s3) throw new Error("S3 is not initialized");
+
+        // Get available memory, as on low-powered machines
+        // we might not be able to upload many large chunks at once
+        si.mem(memory => {
+            let concurrency = 10; // Upload these many parts per file at the same time
+            let partSize = 100 * 1024 * 1024;
+            let memoryRequirement = partSize * concurrency * this.parallelUploads; // Conservative
+
+            // Try reducing concurrency first
+            while(memoryRequirement > memory.available && concurrency > 1){
+                concurrency--;
+                memoryRequirement = partSize * concurrency * this.parallelUploads;
+            }
+
+            // Try reducing partSize afterwards
+            while(memoryRequirement > memory.available && partSize > MIN_PART_SIZE){
+                partSize = Math.max(MIN_PART_SIZE, Math.floor(partSize * 0.80));
+                memoryRequirement = partSize * concurrency * this.parallelUploads;
+            }
+
+            this.partSize = partSize;
+            this.concurrency = concurrency;
+
+            super.uploadPaths(srcFolder, bucket, dstFolder, paths, cb, onOutput);
+        });
+    }
+
+    uploadFile(bucket, file, cb, onOutput){
+        const filename = path.basename(file.dest);
+        let progress = 0;
+
+        let uploadCfg = {
+            Bucket: bucket,
+            Key: file.dest,
+            Body: fs.createReadStream(file.src)
+        };
+
+        if (this.options.acl != "none") {
+            uploadCfg.ACL = this.options.acl;
+        }
+
+        this.s3.upload(uploadCfg, {partSize: this.partSize, queueSize: this.concurrency}, err => {
+            if (err){
+                logger.debug(err);
+
+                // Be gentler on the next attempt
+                this.concurrency = Math.max(1, Math.floor(this.concurrency * 0.66));
+                cb(new Error(`${err.message} (${err.code})`));
+            }else cb();
+        }).on('httpUploadProgress', p => {
+            const perc = Math.round((p.loaded / p.total) * 100);
+            if (perc % 5 == 0 && progress < perc){
+                progress = perc;
+                if (onOutput) {
+                    onOutput(`Uploading ${filename}... ${progress}%`);
+                    if (progress == 100){
+                        onOutput(`Finalizing ${filename} upload, this could take a bit...`);
+                    }
+                }
+            }
+        });
+    }
+
+    exists(bucket, key, cb){
+        this.s3.headObject({ Bucket: bucket || this.bucket, Key: key }, err => {
+            if (!err) cb(null, true);
+            else if (err.code === 'NotFound' || err.statusCode === 404) cb(null, false);
+            else cb(err);
+        });
+    }
+
+    delete(bucket, key, cb){
+        this.s3.deleteObject({ Bucket: bucket || this.bucket, Key: key }, err => cb(err));
+    }
+
+    signedUrl(bucket, key, expires, cb){
+        this.s3.getSignedUrl('getObject', {
+            Bucket: bucket || this.bucket,
+            Key: key,
+            Expires: expires
+        }, cb);
+    }
+};
@@ -0,0 +1,244 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const async = require('async');
+const fs = require('fs');
+const glob = require('glob');
+const path = require('path');
+const logger = require('../logger');
+
+module.exports = /*abstract */ class StorageBackendBase{
+    // @param options.bucket {String} default bucket (or container, or folder) where results are uploaded
+    // @param options.prefix {String} (optional) prefix prepended to the destination folder of each task
+    // @param options.paths [{String}] (optional) paths to upload, relative to the project folder
+    // @param options.uploadEverything {Boolean} when no paths are set, upload all.zip and all the paths included in it (default: only all.zip)
+    // @param options.useTaskName {Boolean} name the destination folder after the task name instead of its UUID
+    // @param options.cleanupAfterUpload {Boolean} delete the project folder (except all.zip) after a successful upload
+    // @param options.parallelUploads {Number} number of files to upload at the same time
+    // @param options.maxRetries {Number} number of times a failed upload is retried (with exponential backoff)
+    constructor(options = {}){
+        this.bucket = options.bucket || "";
+        this.prefix = options.prefix || "";
+        this.paths = options.paths && options.paths.length > 0 ? options.paths : null;
+        this.uploadEverything = !!options.uploadEverything;
+        this.useTaskName = !!options.useTaskName;
+        this.cleanupAfterUpload = !!options.cleanupAfterUpload;
+        this.parallelUploads = options.parallelUploads || 4;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+    }
+
+    // Human readable name of the backend (S3, GCS, ...)
+    get name(){
+        return this.constructor.name.replace(/Storage$/, "");
+    }
+
+    initialize(cb){
+        cb();
+    }
+
+    // Uploads a single file
+    // @param bucket {String} destination bucket
+    // @param file {Object} {src, dest, size} (dest is relative to the bucket)
+    // @param cb {Function} callback
+    // @param onOutput {Function} (optional) callback when output lines are available
+    uploadFile(bucket, file, cb, onOutput){ cb(new Error("Not implemented")); }
+
+    // @param bucket {String} bucket, or null for the default bucket
+    // @param key {String} path of the object relative to the bucket
+    // @param cb {Function} callback(err, exists)
+    exists(bucket, key, cb){ cb(new Error("Not implemented")); }
+
+    // @param bucket {String} bucket, or null for the default bucket
+    // @param key {String} path of the object relative to the bucket
+    // @param cb {Function} callback
+    delete(bucket, key, cb){ cb(new Error("Not implemented")); }
+
+    // @param bucket {String} bucket, or null for the default bucket
+    // @param key {String} path of the object relative to the bucket
+    // @param expires {Number} number of seconds the URL stays valid
+    // @param cb {Function} callback(err, url)
+    signedUrl(bucket, key, expires, cb){ cb(new Error(`Signed URLs are not supported by ${this.name}`)); }
+
+    // @return {String} URL-like description of an object (for logging)
+    getUrl(bucket, key){
+        return `${bucket || this.bucket}/${key}`;
+    }
+
+    // @param allPaths [{String}] paths included in all.zip
+    // @return [{String}] paths (relative to the project folder) to upload
+    getUploadPaths(allPaths){
+        if (this.paths) return this.paths;
+        else if (this.uploadEverything) return ['all.zip'].concat(allPaths);
+        else return ['all.zip'];
+    }
+
+    // @param task {Task}
+    // @param prefix {String} (optional) overrides the default prefix
+    // @return {String} folder (relative to the bucket) where the results of a task are uploaded
+    getDestinationFolder(task, prefix = this.prefix){
+        const folder = this.useTaskName ? task.getSanitizedName() : task.uuid;
+        return prefix ? path.join(prefix, folder) : folder;
+    }
+
+    // Expands directories into the list of files to upload
+    getUploadList(srcFolder, dstFolder, paths){
+        const uploadList = [];
+
+        paths.forEach(p => {
+            const fullPath = path.join(srcFolder, p);
+
+            // Skip non-existing items
+            if (!fs.existsSync(fullPath)){
+                logger.debug(`Skipping non-existent path: ${fullPath}`);
+                return;
+            }
+
+            if (fs.lstatSync(fullPath).isDirectory()){
+                const globPaths = glob.sync(`${p}/**`, { cwd: srcFolder, nodir: true, nosort: true });
+
+                globPaths.forEach(gp => {
+                    uploadList.push({
+                        src: path.join(srcFolder, gp),
+                        dest: path.join(dstFolder, gp),
+                        retries: 0
+                    });
+                });
+            }else{
+                uploadList.push({
+                    src: fullPath,
+                    dest: path.join(dstFolder, p),
+                    retries: 0
+                });
+            }
+        });
+
+        uploadList.forEach(file => {
+            file.size = fs.statSync(file.src).size;
+        });
+
+        return uploadList;
+    }
+
+    // @param srcFolder {String} folder where to find paths (on local machine)
+    // @param bucket {String} destination bucket, or null for the default bucket
+    // @param dstFolder {String} prefix where to upload files
+    // @param paths [{String}] list of paths relative to srcFolder
+    // @param cb {Function} callback
+    // @param onOutput {Function} (optional) callback when output lines are available
+    uploadPaths(srcFolder, bucket, dstFolder, paths, cb, onOutput){
+        bucket = bucket || this.bucket;
+
+        const uploadList = this.getUploadList(srcFolder, dstFolder, paths);
+        const totalFiles = uploadList.length;
+        let completedUploads = 0;
+
+        if (totalFiles === 0){
+            if (onOutput) onOutput(`No files to upload to ${this.name}`);
+            cb();
+            return;
+        }
+
+        if (onOutput) onOutput(`Uploading ${totalFiles} files to ${this.name}...`);
+
+        let cbCalled = false;
+
+        const q = async.queue((file, done) => {
+            const filename = path.basename(file.dest);
+            const fileSizeMB = (file.size / (1024 * 1024)).toFixed(2);
+            const startTime = Date.now();
+
+            logger.debug(`Uploading ${file.src} --> ${this.getUrl(bucket, file.dest)} (${fileSizeMB} MB)`);
+
+            this.uploadFile(bucket, file, err => {
+                if (err){
+                    logger.debug(`Upload error for ${filename}: ${err.message}`);
+
+                    if (file.retries < this.maxRetries){
+                        file.retries++;
+                        const delay = Math.pow(2, file.retries) * 1000;
+                        if (onOutput) onOutput(`Cannot upload ${filename} to ${this.name} (${err.message}), retrying (attempt ${file.retries}/${this.maxRetries}) in ${delay / 1000}s...`);
+
+                        setTimeout(() => {
+                            q.push(file, errHandler);
+                            done();
+                        }, delay);
+                    }else{
+                        done(new Error(`Failed to upload ${filename} to ${this.name} after ${this.maxRetries} retries: ${err.message}`));
+                    }
+                }else{
+                    completedUploads++;
+                    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+                    const progress = Math.round((completedUploads / totalFiles) * 100);
+
+                    if (onOutput) onOutput(`[${progress}%] Uploaded ${filename} (${fileSizeMB} MB in ${elapsed}s)`);
+                    done();
+                }
+            }, onOutput);
+        }, this.parallelUploads);
+
+        const errHandler = err => {
+            if (err){
+                q.kill();
+                if (!cbCalled){
+                    cbCalled = true;
+                    cb(err);
+                }
+            }
+        };
+
+        q.drain = () => {
+            if (!cbCalled){
+                cbCalled = true;
+                if (onOutput) onOutput(`Successfully uploaded ${totalFiles} files to ${this.name}!`);
+                cb();
+            }
+        };
+
+        q.push(uploadList, errHandler);
+    }
+
+    // Content type of a file based on its extension
+    getContentType(filePath){
+        const ext = path.extname(filePath).toLowerCase();
+        const contentTypes = {
+            '.tif': 'image/tiff',
+            '.tiff': 'image/tiff',
+            '.png': 'image/png',
+            '.jpg': 'image/jpeg',
+            '.jpeg': 'image/jpeg',
+            '.json': 'application/json',
+            '.xml': 'application/xml',
+            '.zip': 'application/zip',
+            '.las': 'application/octet-stream',
+            '.laz': 'application/octet-stream',
+            '.ply': 'application/octet-stream',
+            '.obj': 'model/obj',
+            '.mtl': 'model/mtl',
+            '.glb': 'model/gltf-binary',
+            '.pdf': 'application/pdf',
+            '.txt': 'text/plain',
+            '.csv': 'text/csv',
+            '.geojson': 'application/geo+json',
+            '.gpkg': 'application/geopackage+sqlite3',
+            '.mbtiles': 'application/x-sqlite3',
+            '.kmz': 'application/vnd.google-earth.kmz'
+        };
+
+        return contentTypes[ext] || 'application/octet-stream';
+    }
+};
@@ -0,0 +1,160 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const async = require('async');
+const S3Storage = require('./S3Storage');
+const GCSStorage = require('./GCSStorage');
+const AzureStorage = require('./AzureStorage');
+const LocalStorage = require('./LocalStorage');
+const utils = require('../utils');
+
+const splitPaths = paths => paths ? paths.split(",").map(p => p.trim()).filter(p => p !== "") : [];
+
+let backends = [];
+
+module.exports = {
+    // @return [{StorageBackendBase}] the storage backends enabled by the configuration
+    fromConfig: function(config){
+        const result = [];
+
+        if (config.s3Endpoint && config.s3Bucket){
+            result.push(new S3Storage({
+                endpoint: config.s3Endpoint,
+                bucket: config.s3Bucket,
+                accessKey: config.s3AccessKey,
+                secretKey: config.s3SecretKey,
+                signatureVersion: config.s3SignatureVersion,
+                forcePathStyle: config.s3ForcePathStyle,
+                acl: config.s3ACL,
+                ignoreSSL: config.s3IgnoreSSL,
+                uploadEverything: config.s3UploadEverything
+            }));
+        }
+
+        if (config.gcsBucket){
+            result.push(new GCSStorage({
+                bucket: config.gcsBucket,
+                projectId: config.gcsProjectId,
+                keyPath: config.gcsKeyPath,
+                parallelUploads: config.gcsParallelUploads,
+                paths: splitPaths(config.gcsUploadPaths),
+                prefix: config.gcsUploadPrefix,
+                cleanupAfterUpload: config.gcsCleanupAfterUpload
+            }));
+        }
+
+        if (config.azureContainer && (config.azureConnectionString || config.azureAccount)){
+            result.push(new AzureStorage({
+                bucket: config.azureContainer,
+                connectionString: config.azureConnectionString,
+                account: config.azureAccount,
+                accountKey: config.azureAccountKey,
+                endpoint: config.azureEndpoint,
+                parallelUploads: config.azureParallelUploads,
+                paths: splitPaths(config.azureUploadPaths),
+                prefix: config.azureUploadPrefix,
+                cleanupAfterUpload: config.azureCleanupAfterUpload
+            }));
+        }
+
+        if (config.localStoragePath){
+            result.push(new LocalStorage({
+                bucket: config.localStoragePath,
+                paths: splitPaths(config.localStorageUploadPaths),
+                prefix: config.localStorageUploadPrefix
+            }));
+        }
+
+        return result;
+    },
+
+    initialize: function(config, cb){
+        const candidates = this.fromConfig(config);
+
+        async.eachSeries(candidates, (backend, done) => {
+            backend.initialize(done);
+        }, err => {
+            if (!err) backends = candidates;
+            cb(err);
+        });
+    },
+
+    // @return [{StorageBackendBase}] initialized storage backends
+    enabled: function(){
+        return backends;
+    },
+
+    // @param name {String} backend name (s3, gcs, azure, local)
+    // @return {StorageBackendBase} the initialized backend with this name, or undefined
+    get: function(name){
+        return backends.find(b => b.name.toLowerCase() === String(name).toLowerCase());
+    },
+
+    // Validates a per-task storage destination against the operator-defined allowlist,
+    // which maps backend names to the buckets tasks are allowed to upload to ("*" allows any bucket),
+    // for example: {"s3": ["customer-a", "customer-b"], "gcs": ["*"]}
+    // @param storage {Object|String} {backend, bucket, prefix, paths, cleanup} or its JSON encoding
+    // @param allowlist {Object}
+    // @param cb {Function} callback(err, storage) with the normalized storage destination (null if none is set)
+    validateTaskStorage: function(storage, allowlist, cb){
+        if (storage === undefined || storage === null || storage === "") return cb(null, null);
+
+        if (typeof storage === "string"){
+            try{
+                storage = JSON.parse(storage);
+            }catch(e){
+                return cb(new Error(`Invalid storage: ${e.message}`));
+            }
+        }
+
+        if (typeof storage !== "object" || Array.isArray(storage)) return cb(new Error("Invalid storage: must be an object"));
+
+        if (!storage.backend) return cb(new Error("Invalid storage: backend is required"));
+        const backend = this.get(storage.backend);
+        if (!backend) return cb(new Error(`Storage backend ${storage.backend} is not enabled on this node`));
+
+        const name = backend.name.toLowerCase();
+        const allowedBuckets = (allowlist || {})[name];
+        const bucket = storage.bucket ? String(storage.bucket) : backend.bucket;
+
+        if (!Array.isArray(allowedBuckets) || (allowedBuckets.indexOf("*") === -1 && allowedBuckets.indexOf(bucket) === -1)){
+            return cb(new Error(`Storage destination ${name}:${bucket} is not allowed`));
+        }
+
+        const result = { backend: name, bucket };
+
+        if (storage.prefix !== undefined){
+            if (typeof storage.prefix !== "string") return cb(new Error("Invalid storage: prefix must be a string"));
+            result.prefix = storage.prefix !== "" ? utils.parseUnsafePathsList([storage.prefix])[0] : "";
+        }
+
+        if (storage.paths !== undefined){
+            const paths = typeof storage.paths === "string" ? splitPaths(storage.paths) : storage.paths;
+            if (!Array.isArray(paths) || paths.length === 0 || paths.some(p => typeof p !== "string")){
+                return cb(new Error("Invalid storage: paths must be a non-empty list of paths"));
+            }
+            result.paths = utils.parseUnsafePathsList(paths);
+        }
+
+        if (storage.cleanup !== undefined){
+            result.cleanup = storage.cleanup === true || storage.cleanup === "true";
+        }
+
+        cb(null, result);
+    }
+};
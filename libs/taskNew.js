@@ -32,6 +32,17 @@ const request = require('request');
 const ziputils = require('./ziputils');
 const statusCodes = require('./statusCodes');
 const logger = require('./logger');
+const utils = require('./utils');
+const crypto = require('crypto');
+const stream = require('stream');
+const storageFactory = require('./storage/factory');
+
+const TUS_VERSION = "1.0.0";
+const RESUMABLE_DIR = ".resumable";
+
+// Resumable uploads that are currently receiving data (data file path --> true),
+// only one request at a time can append to a file
+const resumableLocks = {};
 
 const download = function(uri, filename, callback) {
     request.head(uri, function(err, res, body) {
@@ -67,6 +78,74 @@ const assureUniqueFilename = (dstPath, filename, cb) => {
     });
 };
 
+// Hard links the files of a folder into another (existing) folder,
+// copying them if they cannot be linked (for example across filesystems)
+const linkFiles = function(srcPath, dstPath, cb){
+    fs.readdir(srcPath, (err, files) => {
+        if (err) return cb(err);
+
+        async.eachSeries(files, (file, cb) => {
+            const src = path.join(srcPath, file),
+                  dst = path.join(dstPath, file);
+            fs.link(src, dst, err => {
+                if (err) fs.copyFile(src, dst, cb);
+                else cb();
+            });
+        }, cb);
+    });
+};
+
+// Parses a tus Upload-Metadata header ("key base64value,key2 base64value2")
+const parseUploadMetadata = function(header){
+    const metadata = {};
+    (header || "").split(",").forEach(pair => {
+        const [key, value] = pair.trim().split(" ");
+        if (key) metadata[key] = value !== undefined ? Buffer.from(value, 'base64').toString('utf8') : "";
+    });
+    return metadata;
+};
+
+const resumablePaths = function(req){
+    const resumablePath = path.join("tmp", req.id, RESUMABLE_DIR);
+    return {
+        resumablePath,
+        dataFile: path.join(resumablePath, `${req.params.fileId}.part`),
+        infoFile: path.join(resumablePath, `${req.params.fileId}.json`)
+    };
+};
+
+const readResumableInfo = function(infoFile, cb){
+    fs.readFile(infoFile, 'utf8', (err, data) => {
+        if (err) cb(err);
+        else{
+            try{
+                cb(null, JSON.parse(data));
+            }catch(e){
+                cb(new Error(`Malformed ${path.basename(infoFile)}`));
+            }
+        }
+    });
+};
+
+// Moves a completed resumable upload next to the other uploaded files
+const finalizeResumable = function(req, info, cb){
+    const { dataFile, infoFile } = resumablePaths(req);
+    const dstPath = path.join("tmp", req.id);
+
+    assureUniqueFilename(dstPath, info.filename, (err, filename) => {
+        if (err) cb(err);
+        else{
+            fs.rename(dataFile, path.join(dstPath, filename), err => {
+                if (err) cb(err);
+                else{
+                    info.complete = true;
+                    fs.writeFile(infoFile, JSON.stringify(info), {encoding: 'utf8'}, cb);
+                }
+            });
+        }
+    });
+};
+
 const upload = multer({
     storage: multer.diskStorage({
         destination: (req, file, cb) => {
@@ -99,9 +178,15 @@ module.exports = {
             const userUuid = req.get('set-uuid');
     
             // Valid UUID and no other task with same UUID?
-            if (/^[0-9a-f]{8}-[0-9a-f]{4}-[1-7][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(userUuid) && !TaskManager.singleton().find(userUuid)){
-                req.id = userUuid;
-                next();
+            if (/^[0-9a-f]{8}-[0-9a-f]{4}-[1-7][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(userUuid)){
+                TaskManager.singleton().exists(userUuid, (err, exists) => {
+                    if (!err && !exists){
+                        req.id = userUuid;
+                        next();
+                    }else{
+                        res.json({error: `Invalid set-uuid: ${userUuid}`});
+                    }
+                });
             }else{
                 res.json({error: `Invalid set-uuid: ${userUuid}`})
             }
@@ -137,8 +222,26 @@ module.exports = {
         }
     },
 
+    // Assigns a temporary upload folder for files
+    // that are added to an existing task
+    assignUploadId: (req, res, next) => {
+        req.id = uuidv4();
+        next();
+    },
+
     uploadImages: upload.array("images"),
 
+    // Adds the uploaded files to an existing task (see Task.addFiles)
+    handleAddFiles: (req, res) => {
+        const srcPath = path.join("tmp", req.id);
+
+        req.task.addFiles(srcPath, err => {
+            removeDirectory(srcPath);
+            if (err) res.json({ error: err.message });
+            else res.json({ success: true });
+        });
+    },
+
     handleUpload: (req, res) => {
         // IMPROVEMENT: check files count limits ahead of handleTaskNew
         if (req.files && req.files.length > 0){
@@ -148,11 +251,213 @@ module.exports = {
         }
     },
 
+    // Resumable uploads (tus protocol, core + creation extension).
+    // Each file is declared via resumableCreate, then its bytes are
+    // appended via resumablePatch (which can be retried from the offset
+    // reported by resumableHead). Partial files are kept in tmp/<uuid>/.resumable
+    // and moved next to the other uploaded files once complete.
+    resumableHeaders: (req, res, next) => {
+        res.set('Tus-Resumable', TUS_VERSION);
+        res.set('Access-Control-Expose-Headers', 'Location, Upload-Offset, Upload-Length, Tus-Resumable');
+        next();
+    },
+
+    resumableCreate: (req, res) => {
+        const length = parseInt(req.get('Upload-Length'));
+        if (isNaN(length) || length < 0){
+            res.status(400).json({error: "Upload-Length header is missing or invalid"});
+            return;
+        }
+
+        const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+        let filename = path.basename(metadata.filename || metadata.name || "");
+        if (!filename){
+            res.status(400).json({error: "Upload-Metadata must include a filename"});
+            return;
+        }
+        if (filename === "body.json" || filename === RESUMABLE_DIR) filename = "_" + filename;
+
+        req.params.fileId = crypto.randomBytes(16).toString('hex');
+        const { resumablePath, dataFile, infoFile } = resumablePaths(req);
+        const info = {filename, length, complete: false};
+
+        async.series([
+            cb => {
+                fs.stat(resumablePath, (err, stat) => {
+                    if (err && err.code === 'ENOENT') fs.mkdir(resumablePath, undefined, cb);
+                    else cb(); // Dir already exists
+                });
+            },
+            cb => fs.writeFile(dataFile, "", cb),
+            cb => fs.writeFile(infoFile, JSON.stringify(info), {encoding: 'utf8'}, cb),
+            cb => {
+                // Empty files are complete as soon as they are declared
+                if (length === 0) finalizeResumable(req, info, cb);
+                else cb();
+            }
+        ], err => {
+            if (err) res.status(500).json({error: err.message});
+            else{
+                let location = `/task/new/upload/${req.id}/resumable/${req.params.fileId}`;
+                if (req.query.token) location += `?token=${encodeURIComponent(req.query.token)}`;
+
+                res.set('Location', location);
+                res.set('Upload-Offset', 0);
+                res.status(201).end();
+            }
+        });
+    },
+
+    resumableHead: (req, res) => {
+        const { dataFile, infoFile } = resumablePaths(req);
+
+        readResumableInfo(infoFile, (err, info) => {
+            if (err) res.status(404).end();
+            else{
+                const sendOffset = offset => {
+                    res.set('Upload-Offset', offset);
+                    res.set('Upload-Length', info.length);
+                    res.set('Cache-Control', 'no-store');
+                    res.status(200).end();
+                };
+
+                if (info.complete) sendOffset(info.length);
+                else{
+                    fs.stat(dataFile, (err, stat) => {
+                        if (err) res.status(404).end();
+                        else sendOffset(stat.size);
+                    });
+                }
+            }
+        });
+    },
+
+    resumablePatch: (req, res) => {
+        const { dataFile, infoFile } = resumablePaths(req);
+        const offset = parseInt(req.get('Upload-Offset'));
+
+        if (req.get('Content-Type') !== 'application/offset+octet-stream'){
+            res.status(415).json({error: "Content-Type must be application/offset+octet-stream"});
+            return;
+        }
+        if (isNaN(offset)){
+            res.status(400).json({error: "Upload-Offset header is missing or invalid"});
+            return;
+        }
+        if (resumableLocks[dataFile]){
+            res.status(409).json({error: "Another request is uploading this file"});
+            return;
+        }
+
+        resumableLocks[dataFile] = true;
+        const reply = (status, body) => {
+            delete resumableLocks[dataFile];
+            if (body) res.status(status).json(body);
+            else res.status(status).end();
+        };
+
+        readResumableInfo(infoFile, (err, info) => {
+            if (err) return reply(404, {error: "Upload not found"});
+            if (info.complete) return reply(409, {error: "Upload is already complete"});
+
+            const contentLength = parseInt(req.get('Content-Length'));
+            if (!isNaN(contentLength) && offset + contentLength > info.length){
+                return reply(413, {error: "Upload exceeds the declared Upload-Length"});
+            }
+
+            fs.stat(dataFile, (err, stat) => {
+                if (err) reply(404, {error: "Upload not found"});
+                else if (stat.size !== offset) reply(409, {error: `Upload-Offset mismatch (expected ${stat.size})`});
+                else{
+                    const output = fs.createWriteStream(dataFile, {flags: 'a'});
+                    let written = 0;
+                    let exceeded = false;
+                    let done = false;
+
+                    // Stops writing as soon as the request would go past the declared length
+                    const limit = new stream.Transform({
+                        transform: (chunk, encoding, cb) => {
+                            if (exceeded) return cb();
+                            if (offset + written + chunk.length > info.length){
+                                exceeded = true;
+                                req.unpipe(limit);
+                                limit.end();
+                                cb();
+                            }else{
+                                written += chunk.length;
+                                cb(null, chunk);
+                            }
+                        }
+                    });
+
+                    // Whatever we received before a connection drop is kept,
+                    // the client can resume from the offset returned by HEAD
+                    const finish = () => {
+                        if (done) return;
+                        done = true;
+
+                        if (exceeded){
+                            fs.truncate(dataFile, offset, () => {
+                                reply(413, {error: "Upload exceeds the declared Upload-Length"});
+                            });
+                            return;
+                        }
+
+                        fs.stat(dataFile, (err, stat) => {
+                            if (err) reply(500, {error: err.message});
+                            else if (stat.size === info.length){
+                                finalizeResumable(req, info, err => {
+                                    if (err) reply(500, {error: err.message});
+                                    else{
+                                        res.set('Upload-Offset', stat.size);
+                                        reply(204);
+                                    }
+                                });
+                            }else{
+                                res.set('Upload-Offset', stat.size);
+                                reply(204);
+                            }
+                        });
+                    };
+
+                    output.on('close', finish);
+                    output.on('error', err => {
+                        logger.warn(`Cannot write ${dataFile}: ${err.message}`);
+                    });
+                    req.on('aborted', () => limit.end());
+                    req.pipe(limit).pipe(output);
+                }
+            });
+        });
+    },
+
     handleCommit: (req, res, next) => {
         const srcPath = path.join("tmp", req.id);
         const bodyFile = path.join(srcPath, "body.json");
+        const resumablePath = path.join(srcPath, RESUMABLE_DIR);
 
         async.series([
+            // Make sure that all resumable uploads have completed
+            cb => {
+                fs.readdir(resumablePath, (err, entries) => {
+                    if (err) cb(); // No resumable uploads
+                    else{
+                        async.mapSeries(entries.filter(e => /\.json$/.test(e)),
+                            (entry, cb) => readResumableInfo(path.join(resumablePath, entry), cb),
+                            (err, infos) => {
+                                if (err) cb(err);
+                                else{
+                                    const incomplete = infos.filter(info => !info.complete);
+                                    if (incomplete.length > 0){
+                                        cb(new Error(`${incomplete.length} file(s) have not finished uploading: ${incomplete.map(info => info.filename).join(", ")}`));
+                                    }else{
+                                        rmdir(resumablePath, cb);
+                                    }
+                                }
+                            });
+                    }
+                });
+            },
             cb => {
                 fs.readFile(bodyFile, 'utf8', (err, data) => {
                     if (err) cb(err);
@@ -170,7 +475,7 @@ module.exports = {
                 });
             },
             cb => fs.readdir(srcPath, cb),
-        ], (err, [ body, files ]) => {
+        ], (err, [ _, body, files ]) => {
             if (err) res.json({error: err.message});
             else{
                 req.body = body;
@@ -206,6 +511,13 @@ module.exports = {
                     });
                 }else cb();
             },
+            cb => {
+                if (utils.parsePriority(req.body.priority) === null) cb(new Error(`Invalid priority: ${req.body.priority}`));
+                else cb();
+            },
+            cb => {
+                storageFactory.validateTaskStorage(req.body.storage, config.storageAllowlist, err => cb(err));
+            },
             cb => {
                 fs.stat(srcPath, (err, stat) => {
                     if (err && err.code === 'ENOENT') fs.mkdir(srcPath, undefined, cb);
@@ -405,6 +717,23 @@ module.exports = {
                         }
                     });
                 },
+                cb => {
+                    const priority = utils.parsePriority(req.body.priority);
+                    if (priority === null) cb(new Error(`Invalid priority: ${req.body.priority}`));
+                    else{
+                        req.body.priority = priority;
+                        cb();
+                    }
+                },
+                cb => {
+                    storageFactory.validateTaskStorage(req.body.storage, config.storageAllowlist, (err, storage) => {
+                        if (err) cb(err);
+                        else{
+                            req.body.storage = storage;
+                            cb();
+                        }
+                    });
+                },
                 cb => {
                     fs.readdir(srcPath, (err, entries) => {
                         if (!err) imagesCountEstimate = entries.length;
@@ -417,7 +746,9 @@ module.exports = {
                             req.body.skipPostProcessing === 'true',
                             req.body.outputs,
                             req.body.dateCreated,
-                            imagesCountEstimate
+                            imagesCountEstimate,
+                            req.body.priority,
+                            req.body.storage
                         );
                     TaskManager.singleton().addNew(task);
                     res.json({ uuid: req.id });
@@ -438,5 +769,64 @@ module.exports = {
                 if (err) die(err.message);
             });
         }
+    },
+
+    // Creates a new task from the images and GCP files of an
+    // existing task (req.task), optionally with a different name, options,
+    // priority or webhook, and queues it
+    cloneTask: (req, res) => {
+        const source = req.task;
+        const uuid = uuidv4();
+        const destPath = path.join(Directories.data, uuid);
+        const body = req.body;
+
+        if (!source.initialized) return res.json({ error: "Task is still being initialized" });
+
+        async.waterfall([
+            cb => {
+                if (body.options === undefined) cb(null, utils.clone(source.options));
+                else odmInfo.filterOptions(body.options, cb);
+            },
+            (options, cb) => {
+                const priority = body.priority !== undefined ? utils.parsePriority(body.priority) : source.priority;
+                if (priority === null) cb(new Error(`Invalid priority: ${body.priority}`));
+                else cb(null, options, priority);
+            },
+            (options, priority, cb) => {
+                fs.access(source.getImagesFolderPath(), fs.F_OK, err => {
+                    if (err) cb(new Error("The images of this task are no longer available"));
+                    else cb(null, options, priority);
+                });
+            },
+            (options, priority, cb) => {
+                const task = new Task(uuid, body.name || (source.name ? `Copy of ${source.name}` : ""), options,
+                    body.webhook !== undefined ? body.webhook : source.webhook,
+                    source.skipPostProcessing,
+                    source.outputs,
+                    undefined,
+                    source.images.length,
+                    priority,
+                    source.storage ? utils.clone(source.storage) : null);
+                TaskManager.singleton().addNew(task);
+                res.json({ uuid });
+                cb();
+
+                // Files are linked in the background
+                task.initialize(err => {
+                    if (err){
+                        logger.warn(`Cannot clone ${source.uuid}: ${err.message}`);
+                        removeDirectory(destPath);
+                    }else TaskManager.singleton().processNextTask();
+                }, [
+                    cb => fs.mkdir(destPath, undefined, cb),
+                    cb => fs.mkdir(task.getImagesFolderPath(), undefined, cb),
+                    cb => fs.mkdir(task.getGcpFolderPath(), undefined, cb),
+                    cb => linkFiles(source.getImagesFolderPath(), task.getImagesFolderPath(), cb),
+                    cb => linkFiles(source.getGcpFolderPath(), task.getGcpFolderPath(), cb)
+                ]);
+            }
+        ], err => {
+            if (err) res.json({ error: err.message });
+        });
     }
 }
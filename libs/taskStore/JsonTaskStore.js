@@ -0,0 +1,167 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const async = require('async');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const TaskStoreBase = require('./TaskStoreBase');
+const TaskJournal = require('./TaskJournal');
+
+// Stores tasks in a tasks.json snapshot, plus a journal
+// of the changes made since the snapshot was written
+module.exports = class JsonTaskStore extends TaskStoreBase{
+    constructor(folder){
+        super();
+        this.file = path.join(folder, "tasks.json");
+        this.journal = new TaskJournal(path.join(folder, "tasks.journal"));
+        this.tasks = {};
+    }
+
+    initialize(cb){
+        super.initialize(err => {
+            if (err) cb(err);
+            else this.loadAll((err, tasks, hadErrors) => {
+                if (hadErrors) this.hadErrors = true;
+                cb(err);
+            });
+        });
+    }
+
+    // Reads the last snapshot and replays the journal on top of it
+    loadAll(cb){
+        let hadErrors = false;
+
+        // Moves a file that could not be read out of the way (for later inspection)
+        const setAside = (file, copy) => {
+            const dest = `${file}.corrupted-${new Date().getTime()}`;
+            try{
+                if (copy) fs.copyFileSync(file, dest);
+                else fs.renameSync(file, dest);
+                logger.warn(`Saved a copy of ${file} to ${dest}`);
+            }catch(e){
+                logger.warn(`Cannot save a copy of ${file}: ${e.message}`);
+            }
+        };
+
+        this.tasks = {};
+
+        async.series([
+            cb => {
+                fs.readFile(this.file, (err, data) => {
+                    if (err){
+                        if (err.code === 'ENOENT'){
+                            logger.info("No tasks dump found");
+                            cb();
+                        }else cb(new Error(`Could not read ${this.file}: ${err.message}`));
+                        return;
+                    }
+
+                    try{
+                        JSON.parse(data.toString()).forEach(taskJson => {
+                            this.tasks[taskJson.uuid] = taskJson;
+                        });
+                    }catch(e){
+                        logger.error(`Could not load task list. It looks like the ${this.file} is corrupted (${e.message}).`);
+                        setAside(this.file);
+                        hadErrors = true;
+                    }
+                    cb();
+                });
+            },
+            cb => {
+                this.journal.read((err, entries, corruptedCount) => {
+                    if (err) return cb(new Error(`Could not read ${this.journal.file}: ${err.message}`));
+
+                    if (corruptedCount > 0){
+                        logger.error(`${corruptedCount} entries in ${this.journal.file} are corrupted and have been skipped.`);
+                        setAside(this.journal.file, true);
+                        hadErrors = true;
+                    }
+
+                    entries.forEach(entry => {
+                        if (entry.op === "put" && entry.task && entry.task.uuid) this.tasks[entry.task.uuid] = entry.task;
+                        else if (entry.op === "remove") delete(this.tasks[entry.uuid]);
+                    });
+                    if (entries.length > 0) logger.info(`Replayed ${entries.length} journal entries`);
+
+                    cb();
+                });
+            }
+        ], err => {
+            if (err) cb(err);
+            else cb(null, Object.keys(this.tasks).map(uuid => this.tasks[uuid]), hadErrors);
+        });
+    }
+
+    get(uuid, cb){
+        cb(null, this.tasks[uuid] || null);
+    }
+
+    put(taskJson){
+        this.journal.append({ op: "put", task: taskJson });
+        this.tasks[taskJson.uuid] = taskJson;
+    }
+
+    putMany(taskJsons){
+        this.journal.append(taskJsons.map(task => ({ op: "put", task })));
+        taskJsons.forEach(taskJson => this.tasks[taskJson.uuid] = taskJson);
+    }
+
+    remove(uuid){
+        this.journal.append({ op: "remove", uuid });
+        delete(this.tasks[uuid]);
+    }
+
+    // Writes a new snapshot (atomically), then clears the journal
+    compact(cb){
+        try{
+            const output = Object.keys(this.tasks).map(uuid => this.tasks[uuid]);
+
+            const tmpFile = `${this.file}.tmp`;
+            const fd = fs.openSync(tmpFile, 'w');
+            try{
+                fs.writeSync(fd, JSON.stringify(output));
+                fs.fsyncSync(fd);
+            }finally{
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tmpFile, this.file);
+
+            // Make sure the rename is on disk before discarding the journal
+            // (not supported on all platforms)
+            try{
+                const dirFd = fs.openSync(path.dirname(this.file), 'r');
+                fs.fsyncSync(dirFd);
+                fs.closeSync(dirFd);
+            }catch(e){
+                // Ignore
+            }
+
+            this.journal.truncate();
+        }catch(e){
+            return cb(e);
+        }
+
+        cb();
+    }
+
+    query(filter, cb){
+        cb(null, this.filterTasks(Object.keys(this.tasks).map(uuid => this.tasks[uuid]), filter));
+    }
+};
@@ -0,0 +1,227 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const TaskStoreBase = require('./TaskStoreBase');
+const JsonTaskStore = require('./JsonTaskStore');
+
+// Value of PRAGMA user_version once the tasks of the JSON store
+// have been imported (the import is retried on startup until then)
+const JSON_IMPORTED = 1;
+
+// Stores tasks in a SQLite database (tasks.sqlite).
+// Columns used for filtering and sorting are kept next to the serialized task.
+module.exports = class SqliteTaskStore extends TaskStoreBase{
+    constructor(folder){
+        super();
+        this.folder = folder;
+        this.file = path.join(folder, "tasks.sqlite");
+        this.db = null;
+    }
+
+    initialize(cb){
+        // Native module, only required when this store is used
+        let Database;
+        try{
+            Database = require('better-sqlite3');
+        }catch(e){
+            return cb(new Error(`Cannot load the SQLite task store: ${e.message}`));
+        }
+
+        let importPending;
+        try{
+            this.db = new Database(this.file);
+            this.db.pragma('journal_mode = WAL');
+            this.db.pragma('synchronous = FULL');
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS tasks (
+                    uuid TEXT PRIMARY KEY,
+                    name TEXT,
+                    status INTEGER,
+                    dateCreated INTEGER,
+                    priority INTEGER,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS tasks_status ON tasks(status);
+                CREATE INDEX IF NOT EXISTS tasks_dateCreated ON tasks(dateCreated);
+            `);
+
+            this.statements = {
+                put: this.db.prepare(`INSERT INTO tasks (uuid, name, status, dateCreated, priority, data)
+                                      VALUES (@uuid, @name, @status, @dateCreated, @priority, @data)
+                                      ON CONFLICT(uuid) DO UPDATE SET name = @name, status = @status,
+                                      dateCreated = @dateCreated, priority = @priority, data = @data`),
+                get: this.db.prepare("SELECT uuid, data FROM tasks WHERE uuid = ?"),
+                remove: this.db.prepare("DELETE FROM tasks WHERE uuid = ?"),
+                all: this.db.prepare("SELECT uuid, data FROM tasks")
+            };
+
+            importPending = this.db.pragma('user_version', { simple: true }) < JSON_IMPORTED;
+        }catch(e){
+            return cb(new Error(`Cannot open ${this.file}: ${e.message}`));
+        }
+
+        super.initialize(err => {
+            if (err) cb(err);
+            else if (importPending) this.importFromJson(cb);
+            else cb();
+        });
+    }
+
+    // Imports the tasks of the JSON store (if any), when switching to SQLite.
+    // The import is recorded in the same transaction as the tasks.
+    importFromJson(cb){
+        const jsonStore = new JsonTaskStore(this.folder);
+        const markImported = () => this.db.pragma(`user_version = ${JSON_IMPORTED}`);
+
+        if (!fs.existsSync(jsonStore.file) && !fs.existsSync(jsonStore.journal.file)){
+            try{
+                markImported();
+            }catch(e){
+                return cb(e);
+            }
+            return cb();
+        }
+
+        jsonStore.loadAll((err, tasks, hadErrors) => {
+            if (err) return cb(new Error(`Cannot import tasks from ${jsonStore.file}: ${err.message}`));
+            if (hadErrors) this.hadErrors = true;
+
+            try{
+                this.db.transaction(() => {
+                    this.putMany(tasks);
+                    markImported();
+                })();
+            }catch(e){
+                return cb(e);
+            }
+
+            logger.info(`Imported ${tasks.length} tasks from ${jsonStore.file}`);
+            cb();
+        });
+    }
+
+    loadAll(cb){
+        let rows;
+        try{
+            rows = this.statements.all.all();
+        }catch(e){
+            return cb(e);
+        }
+
+        const tasks = this.parseRows(rows);
+        cb(null, tasks, tasks.length < rows.length);
+    }
+
+    // Parses the serialized tasks of rows, skipping (and logging) those that cannot be read
+    parseRows(rows){
+        const tasks = [];
+        rows.forEach(row => {
+            try{
+                tasks.push(JSON.parse(row.data));
+            }catch(e){
+                logger.error(`Could not load task ${row.uuid} from ${this.file} (${e.message})`);
+                this.hadErrors = true;
+            }
+        });
+        return tasks;
+    }
+
+    get(uuid, cb){
+        let taskJson = null;
+        try{
+            const row = this.statements.get.get(uuid);
+            if (row) taskJson = this.parseRows([row])[0] || null;
+        }catch(e){
+            return cb(e);
+        }
+        cb(null, taskJson);
+    }
+
+    put(taskJson){
+        this.statements.put.run({
+            uuid: taskJson.uuid,
+            name: taskJson.name,
+            status: taskJson.status ? taskJson.status.code : null,
+            dateCreated: taskJson.dateCreated,
+            priority: taskJson.priority || 0,
+            data: JSON.stringify(taskJson)
+        });
+    }
+
+    putMany(taskJsons){
+        this.db.transaction(() => super.putMany(taskJsons))();
+    }
+
+    remove(uuid){
+        this.statements.remove.run(uuid);
+    }
+
+    compact(cb){
+        try{
+            this.db.pragma('wal_checkpoint(TRUNCATE)');
+        }catch(e){
+            return cb(e);
+        }
+        cb();
+    }
+
+    query(filter, cb){
+        filter = filter || {};
+        const where = [];
+        const params = {};
+
+        if (filter.status){
+            where.push(`status IN (${filter.status.map((s, i) => `@status${i}`).join(",")})`);
+            filter.status.forEach((s, i) => params[`status${i}`] = s);
+        }
+        if (filter.name){
+            where.push("instr(lower(name), @name) > 0");
+            params.name = filter.name.toLowerCase();
+        }
+        if (filter.createdAfter !== undefined){
+            where.push("dateCreated >= @createdAfter");
+            params.createdAfter = filter.createdAfter;
+        }
+        if (filter.createdBefore !== undefined){
+            where.push("dateCreated < @createdBefore");
+            params.createdBefore = filter.createdBefore;
+        }
+
+        const whereClause = where.length > 0 ? `WHERE ${where.join(" AND ")}` : "";
+        const sort = TaskStoreBase.parseSort(filter.sort) || TaskStoreBase.parseSort();
+        const sortColumn = sort.field === "name" ? "lower(name)" : sort.field;
+
+        try{
+            const total = this.db.prepare(`SELECT COUNT(*) AS count FROM tasks ${whereClause}`).get(params).count;
+            const rows = this.db.prepare(`SELECT uuid, data FROM tasks ${whereClause}
+                                          ORDER BY ${sortColumn} ${sort.descending ? "DESC" : "ASC"}
+                                          LIMIT @limit OFFSET @offset`)
+                                .all(Object.assign({
+                                    limit: filter.limit !== undefined ? filter.limit : -1,
+                                    offset: filter.offset || 0
+                                }, params));
+
+            cb(null, { total, tasks: this.parseRows(rows) });
+        }catch(e){
+            cb(e);
+        }
+    }
+};
@@ -0,0 +1,87 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const fs = require('fs');
+
+// Append-only log of task changes (one JSON entry per line),
+// flushed to disk on every write. Entries are either
+// {op: "put", task: <serialized task>} or {op: "remove", uuid: <uuid>}.
+module.exports = class TaskJournal{
+    constructor(file){
+        this.file = file;
+        this.fd = null;
+    }
+
+    open(){
+        if (this.fd === null) this.fd = fs.openSync(this.file, 'a');
+    }
+
+    close(){
+        if (this.fd !== null){
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+
+    // Durably appends one or more entries
+    append(entries){
+        if (!Array.isArray(entries)) entries = [entries];
+        if (entries.length === 0) return;
+
+        this.open();
+        fs.writeSync(this.fd, entries.map(e => JSON.stringify(e) + "\n").join(""));
+        fs.fsyncSync(this.fd);
+    }
+
+    // Removes all entries (after they have been compacted into a snapshot)
+    truncate(){
+        this.open();
+        fs.ftruncateSync(this.fd, 0);
+        fs.fsyncSync(this.fd);
+    }
+
+    // Reads all entries. A partially written last entry
+    // (for example, after a power loss) is ignored.
+    // @param cb {Function} callback(err, entries, corruptedCount)
+    read(cb){
+        fs.readFile(this.file, 'utf8', (err, data) => {
+            if (err){
+                if (err.code === 'ENOENT') cb(null, [], 0);
+                else cb(err);
+                return;
+            }
+
+            const lines = data.split("\n");
+            const entries = [];
+            let corruptedCount = 0;
+
+            lines.forEach((line, i) => {
+                if (line === "") return;
+
+                try{
+                    entries.push(JSON.parse(line));
+                }catch(e){
+                    // A torn write can only affect the last line
+                    if (i !== lines.length - 1) corruptedCount++;
+                }
+            });
+
+            cb(null, entries, corruptedCount);
+        });
+    }
+};
@@ -0,0 +1,106 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const logger = require('../logger');
+
+// Fields that query results can be sorted by
+const SORT_FIELDS = {
+    dateCreated: t => t.dateCreated,
+    name: t => (t.name || "").toLowerCase(),
+    priority: t => t.priority || 0,
+    status: t => t.status ? t.status.code : 0
+};
+
+// Persists serialized tasks (see Task.serialize).
+// put and remove are synchronous and must be durable once they return.
+module.exports = /*abstract */ class TaskStoreBase{
+    constructor(){
+        this.hadErrors = false; // Set if some tasks could not be read
+    }
+
+    initialize(cb){
+        logger.info(`Task store: ${this.constructor.name.replace(/TaskStore$/, "")}`);
+        cb();
+    }
+
+    // @param cb {Function} callback(err, tasks, hadErrors) where tasks is the list of
+    //                      serialized tasks and hadErrors is true if some data could not be read
+    loadAll(cb){ cb(new Error("Not implemented")); }
+
+    // @param uuid {String}
+    // @param cb {Function} callback(err, taskJson) where taskJson is null if the task does not exist
+    get(uuid, cb){ cb(new Error("Not implemented")); }
+
+    // @param taskJson {Object} serialized task
+    put(taskJson){ throw new Error("Not implemented"); }
+
+    // @param taskJsons [{Object}] serialized tasks
+    putMany(taskJsons){ taskJsons.forEach(taskJson => this.put(taskJson)); }
+
+    // @param uuid {String}
+    remove(uuid){ throw new Error("Not implemented"); }
+
+    // Reclaims space used by previous writes (if applicable)
+    compact(cb){ cb(); }
+
+    // @param filter.status [{Number}] (optional) status codes
+    // @param filter.name {String} (optional) case-insensitive substring of the name
+    // @param filter.createdAfter {Number} (optional) timestamp (inclusive)
+    // @param filter.createdBefore {Number} (optional) timestamp (exclusive)
+    // @param filter.sort {String} (optional) one of SORT_FIELDS, prefixed with "-" for descending order (default: dateCreated)
+    // @param filter.limit {Number} (optional) maximum number of tasks returned
+    // @param filter.offset {Number} (optional) number of tasks to skip
+    // @param cb {Function} callback(err, {total, tasks}) where total is the number of tasks
+    //                      matching the filter (before limit and offset are applied)
+    query(filter, cb){ cb(new Error("Not implemented")); }
+
+    // @return {field, descending} of a sort parameter, or null if invalid
+    static parseSort(sort = "dateCreated"){
+        const descending = sort[0] === "-";
+        const field = descending ? sort.substr(1) : sort;
+        if (!SORT_FIELDS.hasOwnProperty(field)) return null;
+        return { field, descending };
+    }
+
+    // In-memory implementation of query
+    filterTasks(tasks, filter = {}){
+        const name = filter.name ? filter.name.toLowerCase() : null;
+        const sort = TaskStoreBase.parseSort(filter.sort) || TaskStoreBase.parseSort();
+        const key = SORT_FIELDS[sort.field];
+
+        const result = tasks.filter(t => {
+            if (filter.status && filter.status.indexOf(t.status ? t.status.code : null) === -1) return false;
+            if (name !== null && (t.name || "").toLowerCase().indexOf(name) === -1) return false;
+            if (filter.createdAfter !== undefined && t.dateCreated < filter.createdAfter) return false;
+            if (filter.createdBefore !== undefined && t.dateCreated >= filter.createdBefore) return false;
+            return true;
+        }).sort((a, b) => {
+            const ka = key(a), kb = key(b);
+            const cmp = ka < kb ? -1 : (ka > kb ? 1 : 0);
+            return sort.descending ? -cmp : cmp;
+        });
+
+        const offset = filter.offset || 0;
+        const limit = filter.limit !== undefined ? filter.limit : result.length;
+
+        return {
+            total: result.length,
+            tasks: result.slice(offset, offset + limit)
+        };
+    }
+};
@@ -0,0 +1,33 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const Directories = require('../Directories');
+const JsonTaskStore = require('./JsonTaskStore');
+const SqliteTaskStore = require('./SqliteTaskStore');
+
+module.exports = {
+    fromConfig: function(config){
+        if (config.taskStore === "sqlite"){
+            return new SqliteTaskStore(Directories.data);
+        }else if (config.taskStore === "json"){
+            return new JsonTaskStore(Directories.data);
+        }else{
+            throw new Error(`Invalid task store: ${config.taskStore} (must be one of: json, sqlite)`);
+        }
+    }
+};
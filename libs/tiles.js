@@ -0,0 +1,256 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const fs = require('fs');
+const path = require('path');
+
+// Tile types, mapped to the folder (relative to the results folder)
+// where gdal2tiles writes them
+const TILE_TYPES = {
+    orthophoto: "orthophoto_tiles",
+    dsm: "dsm_tiles",
+    dtm: "dtm_tiles"
+};
+
+// MBTiles files (relative to the results folder), used
+// when the tiles folder of a type is not available
+const MBTILES = {
+    orthophoto: "odm_orthophoto/odm_orthophoto.mbtiles"
+};
+
+const MIME_TYPES = {
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    webp: "image/webp"
+};
+
+// MBTiles files being served (absolute path --> {db, statements}).
+// Connections are kept open until the outputs of the task change (see close)
+const connections = {};
+
+// Returns the (read-only) connection to a MBTiles file
+// and its prepared statements, opening it if needed
+const openMBTiles = file => {
+    file = path.resolve(file);
+    if (!connections[file]){
+        // Native module, only required when MBTiles are served
+        const Database = require('better-sqlite3');
+        const db = new Database(file, { readonly: true, fileMustExist: true });
+        try{
+            connections[file] = {
+                db,
+                statements: {
+                    tile: db.prepare("SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?"),
+                    format: db.prepare("SELECT value FROM metadata WHERE name = 'format'")
+                }
+            };
+        }catch(e){
+            db.close();
+            throw e;
+        }
+    }
+    return connections[file];
+};
+
+// Runs fn with the connection to a MBTiles file and returns its result.
+// The connection is closed if fn fails (for example if the file was replaced)
+const withMBTiles = (file, fn) => {
+    const connection = openMBTiles(file);
+    try{
+        return fn(connection.db, connection.statements);
+    }catch(e){
+        closeConnection(path.resolve(file));
+        throw e;
+    }
+};
+
+const closeConnection = file => {
+    if (!connections[file]) return;
+
+    try{
+        connections[file].db.close();
+    }catch(e){
+        // Ignore
+    }
+    delete(connections[file]);
+};
+
+const readAttributes = (xml, tag) => {
+    const match = xml.match(new RegExp(`<${tag}\\s([^>]*?)/?>`));
+    if (!match) return null;
+
+    const attrs = {};
+    const re = /([\w-]+)="([^"]*)"/g;
+    let m;
+    while ((m = re.exec(match[1])) !== null) attrs[m[1]] = m[2];
+    return attrs;
+};
+
+module.exports = {
+    TILE_TYPES,
+
+    isValidType: function(type){
+        return TILE_TYPES.hasOwnProperty(type);
+    },
+
+    // Finds where the tiles of a type are stored: a folder
+    // written by gdal2tiles or, if not available, a MBTiles file
+    // @return {Object} {folder} or {mbtiles}, or null if no tiles are available
+    getTileSource: function(task, type){
+        const folder = path.join(task.getResultsFolderPath(), TILE_TYPES[type]);
+        if (fs.existsSync(path.join(folder, "tilemapresource.xml"))) return { folder };
+
+        if (MBTILES[type]){
+            const mbtiles = path.join(task.getResultsFolderPath(), MBTILES[type]);
+            if (fs.existsSync(mbtiles)) return { mbtiles };
+        }
+
+        return null;
+    },
+
+    // Reads the description of the tiles of a source
+    // @param cb {Function} callback(err, {bounds, minzoom, maxzoom, format, title})
+    readTileSource: function(source, cb){
+        if (source.folder) this.readTileMap(source.folder, cb);
+        else this.readMBTilesMetadata(source.mbtiles, cb);
+    },
+
+    // Reads a tile from a MBTiles file
+    // @param y {Number} row (TMS scheme, as used by MBTiles)
+    // @param cb {Function} callback(err, {data, mimeType}) where data is null if the tile does not exist
+    readMBTile: function(file, z, x, y, cb){
+        let tile;
+        try{
+            tile = withMBTiles(file, (db, statements) => {
+                const row = statements.tile.get(z, x, y);
+                const format = statements.format.get();
+
+                return {
+                    data: row ? row.tile_data : null,
+                    mimeType: MIME_TYPES[format ? format.value : "png"] || "image/png"
+                };
+            });
+        }catch(e){
+            return cb(e);
+        }
+        cb(null, tile);
+    },
+
+    // Reads the metadata of a MBTiles file
+    // @param cb {Function} see readTileMap
+    readMBTilesMetadata: function(file, cb){
+        let result;
+        try{
+            result = withMBTiles(file, db => {
+                const metadata = {};
+                db.prepare("SELECT name, value FROM metadata").all().forEach(row => {
+                    metadata[row.name] = row.value;
+                });
+
+                let minzoom = parseInt(metadata.minzoom),
+                    maxzoom = parseInt(metadata.maxzoom);
+                if (isNaN(minzoom) || isNaN(maxzoom)){
+                    const zooms = db.prepare("SELECT MIN(zoom_level) AS minzoom, MAX(zoom_level) AS maxzoom FROM tiles").get();
+                    minzoom = zooms.minzoom;
+                    maxzoom = zooms.maxzoom;
+                }
+
+                return {
+                    bounds: (metadata.bounds || "").split(",").map(parseFloat),
+                    minzoom,
+                    maxzoom,
+                    format: metadata.format || "png",
+                    title: metadata.description || metadata.name || ""
+                };
+            });
+        }catch(e){
+            return cb(e);
+        }
+
+        if (result.bounds.length !== 4 || result.bounds.some(isNaN)) cb(new Error("Invalid bounds in MBTiles metadata"));
+        else if (result.minzoom === null) cb(new Error("MBTiles file has no tiles"));
+        else cb(null, result);
+    },
+
+    // Closes the MBTiles files of a folder (the results folder of a task)
+    // that are being served, before they are removed or regenerated
+    close: function(folder){
+        const prefix = path.resolve(folder) + path.sep;
+        Object.keys(connections).forEach(file => {
+            if (file.indexOf(prefix) === 0) closeConnection(file);
+        });
+    },
+
+    // Flips the y coordinate of a tile between the XYZ
+    // and TMS schemes (the operation is symmetric)
+    flipY: function(z, y){
+        return Math.pow(2, z) - 1 - y;
+    },
+
+    // Reads the tilemapresource.xml written by gdal2tiles
+    // @param cb {Function} callback(err, {bounds, minzoom, maxzoom, format, title})
+    // where bounds are [west, south, east, north]
+    readTileMap: function(tilesPath, cb){
+        fs.readFile(path.join(tilesPath, "tilemapresource.xml"), 'utf8', (err, xml) => {
+            if (err) return cb(err);
+
+            const bbox = readAttributes(xml, "BoundingBox");
+            const format = readAttributes(xml, "TileFormat");
+            const zooms = [];
+            const re = /<TileSet\s[^>]*order="(\d+)"/g;
+            let m;
+            while ((m = re.exec(xml)) !== null) zooms.push(parseInt(m[1]));
+
+            if (!bbox || zooms.length === 0) return cb(new Error("Invalid tilemapresource.xml"));
+
+            // gdal2tiles (mercator profile) writes latitudes in
+            // minx/maxx and longitudes in miny/maxy
+            const bounds = [bbox.miny, bbox.minx, bbox.maxy, bbox.maxx].map(parseFloat);
+            if (bounds.some(isNaN)) return cb(new Error("Invalid bounding box in tilemapresource.xml"));
+
+            const title = xml.match(/<Title>([^<]*)<\/Title>/);
+
+            cb(null, {
+                bounds,
+                minzoom: Math.min.apply(null, zooms),
+                maxzoom: Math.max.apply(null, zooms),
+                format: format && format.extension ? format.extension : "png",
+                title: title ? title[1] : ""
+            });
+        });
+    },
+
+    // Builds a TileJSON (https://github.com/mapbox/tilejson-spec) descriptor
+    // @param tileMap {Object} see readTileMap
+    // @param tileUrl {String} URL template of the tiles
+    getTileJson: function(name, tileMap, tileUrl){
+        const b = tileMap.bounds;
+        return {
+            tilejson: "2.2.0",
+            name,
+            description: tileMap.title,
+            scheme: "xyz",
+            tiles: [tileUrl],
+            minzoom: tileMap.minzoom,
+            maxzoom: tileMap.maxzoom,
+            bounds: b,
+            center: [(b[0] + b[2]) / 2, (b[1] + b[3]) / 2, tileMap.minzoom]
+        };
+    }
+};
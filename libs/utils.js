@@ -48,6 +48,15 @@ module.exports = {
         });
     },
 
+    // Parses a task priority (an integer, tasks with higher
+    // values are processed first). Empty values default to 0.
+    // Returns null if the value is not a valid priority.
+    parsePriority: function(priority){
+        if (priority === undefined || priority === null || priority === "") return 0;
+        if (!/^[\-\+]?\d+$/.test(String(priority).trim())) return null;
+        return parseInt(priority);
+    },
+
     clone: function(json){
         return JSON.parse(JSON.stringify(json));
     },
@@ -0,0 +1,269 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+$(function() {
+    function query(key) {
+        key = key.replace(/[*+?^$.\[\]{}()|\\\/]/g, "\\$&"); // escape RegEx meta chars
+        var match = location.search.match(new RegExp("[?&]"+key+"=([^&]+)(&|$)"));
+        return match && decodeURIComponent(match[1].replace(/\+/g, " "));
+    }
+
+    var uuid = query('uuid') || "";
+    var token = query('token') || "";
+
+    // Maximum number of points loaded from a Potree point cloud
+    // (the point cloud is a preview, only the top levels of the octree are loaded)
+    var POINT_BUDGET = 2000000;
+
+    function showMessage(msg) {
+        $("#message").text(msg).show();
+    }
+
+    function url(path) {
+        return "/task/" + uuid + "/3d/" + path + (token ? "?token=" + encodeURIComponent(token) : "");
+    }
+
+    function fetchBuffer(path, cb) {
+        var xhr = new XMLHttpRequest();
+        xhr.open('GET', url(path));
+        xhr.responseType = 'arraybuffer';
+        xhr.onload = function() {
+            if (xhr.status === 200) cb(null, xhr.response);
+            else cb(new Error(path + " returned " + xhr.status));
+        };
+        xhr.onerror = function() { cb(new Error(path + " is unreachable")); };
+        xhr.send();
+    }
+
+    if (!uuid) {
+        showMessage("No task specified.");
+        return;
+    }
+
+    $.get("/task/" + uuid + "/info" + (token ? "?token=" + encodeURIComponent(token) : "")).done(function(info) {
+        if (info.error) showMessage(info.error);
+        else document.title = info.name + " - NodeODM";
+    });
+
+    // Scene (Z axis pointing up, like the outputs of ODM)
+    var container = document.getElementById('viewer');
+    var renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.setSize(container.clientWidth, container.clientHeight);
+    container.appendChild(renderer.domElement);
+
+    var scene = new THREE.Scene();
+    scene.background = new THREE.Color(0x222222);
+    scene.add(new THREE.AmbientLight(0xffffff, 0.8));
+    var light = new THREE.DirectionalLight(0xffffff, 0.6);
+    light.position.set(1, 1, 2);
+    scene.add(light);
+
+    var camera = new THREE.PerspectiveCamera(60, container.clientWidth / container.clientHeight, 0.1, 100000);
+    camera.up.set(0, 0, 1);
+    var controls = new THREE.OrbitControls(camera, renderer.domElement);
+
+    window.addEventListener('resize', function() {
+        camera.aspect = container.clientWidth / container.clientHeight;
+        camera.updateProjectionMatrix();
+        renderer.setSize(container.clientWidth, container.clientHeight);
+    });
+
+    (function animate() {
+        requestAnimationFrame(animate);
+        controls.update();
+        renderer.render(scene, camera);
+    })();
+
+    // Centers an object at the origin and looks at it
+    function frame(object) {
+        var box = new THREE.Box3().setFromObject(object);
+        var center = box.getCenter(new THREE.Vector3());
+        var size = box.getSize(new THREE.Vector3()).length() || 1;
+
+        object.position.sub(center);
+        camera.near = size / 1000;
+        camera.far = size * 100;
+        camera.position.set(0, -size * 0.8, size * 0.6);
+        camera.updateProjectionMatrix();
+        controls.target.set(0, 0, 0);
+        controls.update();
+    }
+
+    var views = {};
+    function enableView(name, object) {
+        views[name] = object;
+        var label = $(name === "pointcloud" ? "#viewPointCloud" : "#viewModel");
+        label.removeClass("disabled").find("input").prop("disabled", false);
+
+        // Show the first view that becomes available
+        if (!$("#controls input:checked").length) label.find("input").prop("checked", true).change();
+    }
+
+    $("#controls input").on('change', function() {
+        for (var name in views) scene.remove(views[name]);
+
+        var object = views[this.value];
+        if (object) {
+            scene.add(object);
+            frame(object);
+        }
+    });
+
+    // Textured model (glTF models are Y-up)
+    var loader = new THREE.GLTFLoader();
+    loader.load(url("odm_texturing/odm_textured_model_geo.glb"), function(gltf) {
+        var model = new THREE.Group();
+        gltf.scene.rotation.x = Math.PI / 2;
+        model.add(gltf.scene);
+        enableView("model", model);
+    }, undefined, function() {
+        // Not available
+    });
+
+    // Potree point cloud (PotreeConverter 1.x, binary format)
+    var ATTRIBUTE_SIZES = {
+        POSITION_CARTESIAN: 12,
+        COLOR_PACKED: 4,
+        RGBA_PACKED: 4,
+        INTENSITY: 2,
+        CLASSIFICATION: 1,
+        NORMAL_SPHEREMAPPED: 2,
+        NORMAL_OCT16: 2,
+        NORMAL: 12,
+        GPS_TIME: 8
+    };
+
+    // Reads the list of nodes of a .hrc file, in breadth-first order
+    function parseHierarchy(buffer, rootName) {
+        var view = new DataView(buffer);
+        var nodes = [{ name: rootName, children: view.getUint8(0), numPoints: view.getUint32(1, true) }];
+        var offset = 5;
+
+        for (var n = 0; n < nodes.length && offset < buffer.byteLength; n++) {
+            for (var i = 0; i < 8; i++) {
+                if ((nodes[n].children & (1 << i)) !== 0) {
+                    nodes.push({
+                        name: nodes[n].name + i,
+                        children: view.getUint8(offset),
+                        numPoints: view.getUint32(offset + 1, true)
+                    });
+                    offset += 5;
+                }
+            }
+        }
+
+        return nodes;
+    }
+
+    // Decodes the points of a node into positions (relative
+    // to origin) and colors, starting at index start
+    function decodeNode(cloud, name, buffer, origin, positions, colors, start) {
+        var attrs = cloud.pointAttributes;
+        var stride = 0;
+        attrs.forEach(function(a) { stride += ATTRIBUTE_SIZES[a]; });
+        var count = Math.floor(buffer.byteLength / stride);
+
+        // Each level of the octree splits the bounding box of its parent in 8
+        var bb = cloud.boundingBox;
+        var min = [bb.lx, bb.ly, bb.lz];
+        var size = [bb.ux - bb.lx, bb.uy - bb.ly, bb.uz - bb.lz];
+        for (var l = 1; l < name.length; l++) {
+            var idx = parseInt(name[l]);
+            size = size.map(function(s) { return s / 2; });
+            if (idx & 4) min[0] += size[0];
+            if (idx & 2) min[1] += size[1];
+            if (idx & 1) min[2] += size[2];
+        }
+
+        var view = new DataView(buffer);
+        for (var p = 0; p < count; p++) {
+            var offset = p * stride;
+            var i = (start + p) * 3;
+            colors[i] = colors[i + 1] = colors[i + 2] = 255;
+
+            attrs.forEach(function(a) {
+                if (a === "POSITION_CARTESIAN") {
+                    for (var c = 0; c < 3; c++) {
+                        positions[i + c] = view.getUint32(offset + c * 4, true) * cloud.scale + min[c] - origin[c];
+                    }
+                } else if (a === "COLOR_PACKED" || a === "RGBA_PACKED") {
+                    colors[i] = view.getUint8(offset);
+                    colors[i + 1] = view.getUint8(offset + 1);
+                    colors[i + 2] = view.getUint8(offset + 2);
+                }
+                offset += ATTRIBUTE_SIZES[a];
+            });
+        }
+
+        return count;
+    }
+
+    function loadPotree(cloud) {
+        if (!Array.isArray(cloud.pointAttributes) || cloud.pointAttributes.some(function(a) { return !ATTRIBUTE_SIZES[a]; })) {
+            showMessage("The point cloud format is not supported by this viewer.");
+            return;
+        }
+
+        var dir = "potree_pointcloud/" + cloud.octreeDir + "/r/";
+        fetchBuffer(dir + "r.hrc", function(err, hierarchy) {
+            if (err) return showMessage("Cannot read the point cloud: " + err.message);
+
+            // Load the top levels of the octree, within the point budget
+            var nodes = [];
+            var total = 0;
+            parseHierarchy(hierarchy, "r").some(function(node) {
+                if (node.name.length > cloud.hierarchyStepSize || total + node.numPoints > POINT_BUDGET) return true;
+                nodes.push(node);
+                total += node.numPoints;
+            });
+
+            var bb = cloud.boundingBox;
+            var origin = [(bb.lx + bb.ux) / 2, (bb.ly + bb.uy) / 2, (bb.lz + bb.uz) / 2];
+            var positions = new Float32Array(total * 3);
+            var colors = new Uint8Array(total * 3);
+            var loaded = 0;
+            var pending = nodes.length;
+
+            nodes.forEach(function(node) {
+                fetchBuffer(dir + node.name + ".bin", function(err, buffer) {
+                    if (!err) loaded += decodeNode(cloud, node.name, buffer, origin, positions, colors, loaded);
+
+                    if (--pending === 0) {
+                        var geometry = new THREE.BufferGeometry();
+                        geometry.setAttribute('position', new THREE.BufferAttribute(positions.subarray(0, loaded * 3), 3));
+                        geometry.setAttribute('color', new THREE.BufferAttribute(colors.subarray(0, loaded * 3), 3, true));
+                        var material = new THREE.PointsMaterial({ size: 2, sizeAttenuation: false, vertexColors: true });
+                        var pointCloud = new THREE.Group();
+                        pointCloud.add(new THREE.Points(geometry, material));
+                        enableView("pointcloud", pointCloud);
+                    }
+                });
+            });
+        });
+    }
+
+    $.getJSON(url("potree_pointcloud/cloud.js"))
+        .done(loadPotree)
+        .fail(function() {
+            // Entwine point clouds can be opened with external viewers
+            $.getJSON(url("entwine_pointcloud/ept.json")).done(function() {
+                showMessage("Entwine (EPT) point clouds cannot be displayed by this viewer. They can be opened with other viewers (such as Potree or plas.io) from " +
+                            location.origin + url("entwine_pointcloud/ept.json"));
+            });
+        });
+});
@@ -205,7 +205,7 @@ $(function() {
 
     function TaskList() {
         var self = this;
-        var url = "/task/list?token=" + token;
+        var url = "/task/list?fields=*&token=" + token;
         this.error = ko.observable("");
         this.loading = ko.observable(true);
         this.tasks = ko.observableArray();
@@ -216,7 +216,7 @@ $(function() {
                     self.error(tasksJson.error);
                 }else{
                     for (var i in tasksJson){
-                        self.tasks.push(new Task(tasksJson[i].uuid));
+                        self.tasks.push(new Task(tasksJson[i].uuid, tasksJson[i]));
                     }
                 }
             })
@@ -224,6 +224,14 @@ $(function() {
                 self.error(url + " is unreachable.");
             })
             .always(function() { self.loading(false); });
+
+        // Keep the elapsed time of running tasks up to date
+        // without having to poll for info
+        setInterval(function(){
+            self.tasks().forEach(function(task){
+                task.updateTimeElapsed();
+            });
+        }, 1000);
     }
     TaskList.prototype.add = function(task) {
         this.tasks.push(task);
@@ -233,16 +241,70 @@ $(function() {
             return t === task;
         });
     };
+    TaskList.prototype.find = function(uuid) {
+        return ko.utils.arrayFirst(this.tasks(), function(t) {
+            return t.uuid === uuid;
+        });
+    };
+
+    // Receives status, progress and console output updates for all tasks
+    // from the node's event stream. If the stream is not available,
+    // tasks fall back to polling.
+    function TaskEvents() {
+        var self = this;
+        this.connected = false;
+        if (!window.EventSource) return;
+
+        this.connected = true;
+        this.source = new EventSource("/events?token=" + token);
+
+        var withTask = function(handler){
+            return function(e){
+                var data = JSON.parse(e.data);
+                var task = taskList.find(data.uuid);
+                if (task) handler(task, data);
+            };
+        };
+
+        this.source.addEventListener('info', withTask(function(task, info){
+            task.setInfo(info);
+            task.loading(false);
+        }));
+        this.source.addEventListener('status', withTask(function(task){
+            task.refreshInfo();
+        }));
+        this.source.addEventListener('progress', withTask(function(task, data){
+            task.info($.extend({}, task.info(), { progress: data.progress }));
+        }));
+        this.source.addEventListener('output', withTask(function(task, data){
+            task.appendOutput(data.line);
+        }));
+        this.source.addEventListener('removed', withTask(function(task){
+            taskList.remove(task);
+        }));
+        this.source.addEventListener('error', function(){
+            // The browser retries automatically, unless the stream
+            // cannot be used at all (for example, authentication errors)
+            if (self.source.readyState === EventSource.CLOSED){
+                self.connected = false;
+                taskList.tasks().forEach(function(task){
+                    task.startRefreshingInfo();
+                    if (task.viewingOutput()) task.viewOutput();
+                });
+            }
+        });
+    }
 
     var codes = {
         QUEUED: 10,
         RUNNING: 20,
         FAILED: 30,
         COMPLETED: 40,
-        CANCELED: 50
+        CANCELED: 50,
+        PAUSED: 60
     };
 
-    function Task(uuid) {
+    function Task(uuid, info) {
         var self = this;
 
         this.uuid = uuid;
@@ -273,6 +335,10 @@ $(function() {
             50: {
                 descr: "Canceled",
                 icon: "glyphicon-ban-circle"
+            },
+            60: {
+                descr: "Paused",
+                icon: "glyphicon-pause"
             }
         };
 
@@ -292,7 +358,15 @@ $(function() {
         }, this);
         this.showCancel = ko.pureComputed(function() {
             return this.info().status &&
-                (this.info().status.code === codes.QUEUED || this.info().status.code === codes.RUNNING);
+                (this.info().status.code === codes.QUEUED || this.info().status.code === codes.RUNNING || this.info().status.code === codes.PAUSED);
+        }, this);
+        this.showPause = ko.pureComputed(function() {
+            return this.info().status &&
+                (this.info().status.code === codes.RUNNING);
+        }, this);
+        this.showResume = ko.pureComputed(function() {
+            return this.info().status &&
+                (this.info().status.code === codes.PAUSED);
         }, this);
         this.showRestart = ko.pureComputed(function() {
             return this.info().status &&
@@ -302,28 +376,53 @@ $(function() {
             return this.info().status &&
                 (this.info().status.code === codes.FAILED || this.info().status.code === codes.COMPLETED || this.info().status.code === codes.CANCELED);
         }, this);
+        this.eta = ko.pureComputed(function() {
+            var info = this.info();
+            if (!info.eta || !info.status) return null;
+
+            if (info.status.code === codes.QUEUED && info.eta.start) {
+                return { label: "Estimated Start", time: new Date(info.eta.start).toLocaleString() };
+            } else if (info.status.code === codes.RUNNING && info.eta.completion) {
+                return { label: "Estimated Completion", time: new Date(info.eta.completion).toLocaleString() };
+            } else return null;
+        }, this);
         this.showDownload = ko.pureComputed(function() {
             return this.info().status &&
                 (this.info().status.code === codes.COMPLETED);
         }, this);
-        this.startRefreshingInfo();
+
+        // Info might already be available (from the task list)
+        this.startRefreshingInfo(!!info);
+        if (info) {
+            this.setInfo(info);
+            this.loading(false);
+        }
     }
+    Task.prototype.setInfo = function(json) {
+        // Track time
+        this.infoReceivedAt = new Date().getTime();
+        if (json.processingTime && json.processingTime !== -1) {
+            this.timeElapsed(hoursMinutesSecs(json.processingTime));
+        }
+        if (json.status && json.status.code && [codes.COMPLETED, codes.FAILED, codes.CANCELED].indexOf(json.status.code) !== -1){
+            this.stopRefreshingInfo();
+            this.copyOutput();
+        }
+
+        this.info(json);
+    };
+    Task.prototype.updateTimeElapsed = function() {
+        var info = this.info();
+        if (info.status && info.status.code === codes.RUNNING && info.processingTime > 0) {
+            this.timeElapsed(hoursMinutesSecs(info.processingTime + new Date().getTime() - this.infoReceivedAt));
+        }
+    };
     Task.prototype.refreshInfo = function() {
         var self = this;
         var url = "/task/" + this.uuid + "/info?token=" + token;
         $.get(url)
             .done(function(json) {
-                // Track time
-
-                if (json.processingTime && json.processingTime !== -1) {
-                    self.timeElapsed(hoursMinutesSecs(json.processingTime));
-                }
-                if (json.status && json.status.code && [codes.COMPLETED, codes.FAILED, codes.CANCELED].indexOf(json.status.code) !== -1){
-                    self.stopRefreshingInfo();
-                    self.copyOutput();
-                }
-
-                self.info(json);
+                self.setInfo(json);
             })
             .fail(function() {
                 self.info({ error: url + " is unreachable." });
@@ -382,7 +481,10 @@ $(function() {
                     self.info({ error: url + " is unreachable." });
                 });
         }
-        this.fetchOutputInterval = setInterval(fetchOutput, 5000);
+        if (this.fetchOutputInterval) clearInterval(this.fetchOutputInterval);
+
+        // New lines are appended as they are received from the event stream
+        if (!taskEvents.connected) this.fetchOutputInterval = setInterval(fetchOutput, 5000);
         fetchOutput();
 
         this.viewingOutput(true);
@@ -391,10 +493,20 @@ $(function() {
         if (this.fetchOutputInterval) clearInterval(this.fetchOutputInterval);
         this.viewingOutput(false);
     };
-    Task.prototype.startRefreshingInfo = function() {
+    Task.prototype.appendOutput = function(line) {
+        if (!this.viewingOutput()) return;
+
+        this.output.push(line);
+        if (this.output().length > 9) this.output.shift();
+    };
+    Task.prototype.startRefreshingInfo = function(skipRefresh) {
         var self = this;
         this.stopRefreshingInfo();
-        this.refreshInfo();
+        if (!skipRefresh) this.refreshInfo();
+
+        // Updates are received from the event stream
+        if (taskEvents.connected) return;
+
         this.refreshInterval = setInterval(function() {
             self.refreshInfo();
         }, 2000);
@@ -460,16 +572,25 @@ $(function() {
         };
     }
     Task.prototype.cancel = genApiCall("/task/cancel?token=" + token);
+    Task.prototype.pause = genApiCall("/task/pause?token=" + token);
+    Task.prototype.resume = genApiCall("/task/resume?token=" + token);
     Task.prototype.restart = genApiCall("/task/restart?token=" + token, function(task) {
         task.resetOutput();
     });
     Task.prototype.downloadLink = function(){
         return "/task/" + this.uuid + "/download/all.zip?token=" + token;
     };
+    Task.prototype.mapLink = function(){
+        return "/map.html?uuid=" + this.uuid + "&token=" + token;
+    };
+    Task.prototype.viewerLink = function(){
+        return "/3d.html?uuid=" + this.uuid + "&token=" + token;
+    };
     Task.prototype.download = function() {
         location.href = this.downloadLink();
     };
 
+    var taskEvents = new TaskEvents();
     var taskList = new TaskList();
     ko.applyBindings(taskList, document.getElementById('taskList'));
 
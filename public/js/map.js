@@ -0,0 +1,136 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+$(function() {
+    function query(key) {
+        key = key.replace(/[*+?^$.\[\]{}()|\\\/]/g, "\\$&"); // escape RegEx meta chars
+        var match = location.search.match(new RegExp("[?&]"+key+"=([^&]+)(&|$)"));
+        return match && decodeURIComponent(match[1].replace(/\+/g, " "));
+    }
+
+    var uuid = query('uuid') || "";
+    var token = query('token') || "";
+
+    function showMessage(msg) {
+        $("#message").text(msg).show();
+    }
+
+    function escapeHtml(s) {
+        return $("<div/>").text(String(s)).html();
+    }
+
+    // Popup listing the properties of a GeoJSON feature
+    function propertiesPopup(feature, layer) {
+        var props = feature.properties || {};
+        var html = [];
+        for (var k in props) {
+            if (typeof props[k] !== 'object') html.push("<strong>" + escapeHtml(k) + ":</strong> " + escapeHtml(props[k]));
+        }
+        if (html.length) layer.bindPopup(html.join("<br/>"));
+    }
+
+    if (!uuid) {
+        showMessage("No task specified.");
+        return;
+    }
+
+    var map = L.map('map', { maxZoom: 24 });
+    map.setView([0, 0], 2);
+
+    var baseLayers = {
+        "OpenStreetMap": L.tileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            maxZoom: 24,
+            maxNativeZoom: 19,
+            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+        }),
+        "None": L.layerGroup()
+    };
+    baseLayers.OpenStreetMap.addTo(map);
+
+    var layersControl = L.control.layers(baseLayers, {}, { collapsed: false }).addTo(map);
+
+    var taskUrl = "/task/" + uuid;
+    var tokenParam = token ? "?token=" + encodeURIComponent(token) : "";
+
+    $.get(taskUrl + "/info" + tokenParam).done(function(info) {
+        if (info.error) showMessage(info.error);
+        else document.title = info.name + " - NodeODM";
+    });
+
+    // Tiles (the orthophoto is shown by default)
+    var fitted = false;
+    var tileTypes = [
+        { type: "orthophoto", label: "Orthophoto", show: true },
+        { type: "dsm", label: "Surface Model (DSM)" },
+        { type: "dtm", label: "Terrain Model (DTM)" }
+    ];
+    var pending = tileTypes.length;
+
+    tileTypes.forEach(function(t) {
+        $.get(taskUrl + "/tiles/" + t.type + "/tilejson.json" + tokenParam)
+            .done(function(tileJson) {
+                if (tileJson.error) return;
+
+                var b = tileJson.bounds;
+                var bounds = L.latLngBounds([b[1], b[0]], [b[3], b[2]]);
+                var layer = L.tileLayer(tileJson.tiles[0], {
+                    minZoom: 0,
+                    maxZoom: 24,
+                    maxNativeZoom: tileJson.maxzoom,
+                    bounds: bounds
+                });
+                layersControl.addOverlay(layer, t.label);
+
+                if (t.show) layer.addTo(map);
+                if (!fitted) {
+                    map.fitBounds(bounds);
+                    fitted = true;
+                }
+            })
+            .always(function() {
+                if (--pending === 0 && !fitted) showMessage("No map tiles are available for this task.");
+            });
+    });
+
+    // Camera positions and ground control points
+    var vectorLayers = [
+        {
+            asset: "shots.geojson",
+            label: "Cameras",
+            style: { radius: 4, color: "#fff", weight: 1, fillColor: "#3498db", fillOpacity: 0.9 }
+        },
+        {
+            asset: "ground_control_points.geojson",
+            label: "Ground Control Points",
+            style: { radius: 6, color: "#fff", weight: 1, fillColor: "#e74c3c", fillOpacity: 0.9 }
+        }
+    ];
+
+    vectorLayers.forEach(function(v) {
+        $.getJSON(taskUrl + "/download/" + v.asset + tokenParam).done(function(geojson) {
+            if (geojson.error || !geojson.features || !geojson.features.length) return;
+
+            var layer = L.geoJSON(geojson, {
+                pointToLayer: function(feature, latlng) {
+                    return L.circleMarker(latlng, v.style);
+                },
+                onEachFeature: propertiesPopup
+            });
+            layersControl.addOverlay(layer, v.label);
+        });
+    });
+});